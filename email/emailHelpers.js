@@ -0,0 +1,107 @@
+// email/emailHelpers.js
+// Shared bits for the diploma portal emails (welcome, notices, reminders, ...)
+const { getResendClient } = require('./resendClient');
+
+function escapeHtml(s = '') {
+  return String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#039;');
+}
+
+function cleanRecipientOrThrow(toEmail) {
+  const clean = String(toEmail || '').trim().toLowerCase();
+  if (!clean || !clean.includes('@')) {
+    throw new Error('Invalid recipient email');
+  }
+  return clean;
+}
+
+function getPortalUrl() {
+  return process.env.DIPLOMA_PORTAL_URL || 'https://ausa.io/diploma';
+}
+
+function getSupportEmail() {
+  return process.env.DIPLOMA_SUPPORT_EMAIL || 'support@ausa.io';
+}
+
+// Send through Resend using RESEND_FROM; throws with a readable message on any failure.
+async function sendDiplomaEmail({ to, subject, html, text, headers }) {
+  const resend = getResendClient();
+  if (!resend) throw new Error('RESEND_API_KEY is not configured on the API service.');
+
+  const from = process.env.RESEND_FROM;
+  if (!from) throw new Error('RESEND_FROM is not configured on the API service.');
+
+  const { data, error } = await resend.emails.send({
+    from,
+    to: cleanRecipientOrThrow(to),
+    subject,
+    html,
+    text,
+    ...(headers ? { headers } : {}),
+  });
+
+  if (error) {
+    const msg = error?.message || (typeof error === 'string' ? error : JSON.stringify(error));
+    throw new Error(`Resend send failed: ${msg}`);
+  }
+
+  return data;
+}
+
+// Retry-After header (seconds or an HTTP date) -> milliseconds, or null when absent / unparseable
+function retryAfterMs(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+// Resend batch endpoint (max 100 messages per call). Returns the message ids in input order.
+// The batch succeeds or fails as a whole; throws with a readable message on failure. The error's
+// statusCode is Resend's HTTP status, or null when no response arrived (the batch may have gone out);
+// code is Resend's error name (e.g. 'rate_limit_exceeded') and retryAfterMs comes from Retry-After.
+// idempotencyKey: Resend answers a repeat of the same batch + key (within 24h) without sending again.
+async function sendDiplomaEmailBatch(messages, { idempotencyKey } = {}) {
+  const resend = getResendClient();
+  if (!resend) throw new Error('RESEND_API_KEY is not configured on the API service.');
+
+  const from = process.env.RESEND_FROM;
+  if (!from) throw new Error('RESEND_FROM is not configured on the API service.');
+
+  const { data, error, headers: responseHeaders } = await resend.batch.send(
+    messages.map(({ to, subject, html, text, headers }) => ({
+      from,
+      to: cleanRecipientOrThrow(to),
+      subject,
+      html,
+      text,
+      ...(headers ? { headers } : {}),
+    })),
+    idempotencyKey ? { idempotencyKey } : undefined
+  );
+
+  if (error) {
+    const msg = error?.message || (typeof error === 'string' ? error : JSON.stringify(error));
+    const err = new Error(`Resend batch send failed: ${msg}`);
+    err.statusCode = Number.isInteger(error?.statusCode) ? error.statusCode : null;
+    err.code = error?.name || null;
+    err.retryAfterMs = retryAfterMs(responseHeaders?.['retry-after']);
+    throw err;
+  }
+
+  return (data?.data || []).map((d) => d?.id || null);
+}
+
+module.exports = {
+  escapeHtml,
+  cleanRecipientOrThrow,
+  getPortalUrl,
+  getSupportEmail,
+  sendDiplomaEmail,
+  sendDiplomaEmailBatch,
+};
@@ -0,0 +1,47 @@
+// email/sendAnnouncementEmail.js
+// Announcement broadcast content (jobs/announcementBroadcast.js sends it in batches).
+const { escapeHtml, getPortalUrl, getSupportEmail } = require('./emailHelpers');
+
+function paragraphsHtml(body) {
+  return String(body || '')
+    .split(/\r?\n\s*\r?\n/)
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .map((p) => `<p>${escapeHtml(p).replace(/\r?\n/g, '<br>')}</p>`)
+    .join('');
+}
+
+// Returns one Resend message { to, subject, html, text }
+function buildAnnouncementEmail({ announcement, toEmail, greetingName }) {
+  const portalUrl = getPortalUrl();
+  const supportEmail = getSupportEmail();
+  const name = String(greetingName || '').trim();
+  const hi = name ? `Hi ${name},` : 'Hello,';
+  const link = announcement.drive_link_url || null;
+
+  const html = `
+  <div style="font-family:system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;line-height:1.45">
+    <p>${escapeHtml(hi)}</p>
+    <h2 style="margin:12px 0">${escapeHtml(announcement.title)}</h2>
+    ${paragraphsHtml(announcement.body)}
+    ${link ? `<p><a href="${escapeHtml(link)}">Open the linked document</a></p>` : ''}
+    <p><a href="${escapeHtml(portalUrl)}">Open the Diploma Portal</a></p>
+    <p style="color:#666;font-size:12px;margin-top:18px">Questions? ${escapeHtml(supportEmail)}</p>
+  </div>`;
+
+  const text = [
+    hi,
+    '',
+    announcement.title,
+    '',
+    String(announcement.body || '').trim(),
+    ...(link ? ['', `Link: ${link}`] : []),
+    '',
+    `Open: ${portalUrl}`,
+    `Help: ${supportEmail}`,
+  ].join('\n');
+
+  return { to: toEmail, subject: `Access USA Diploma: ${announcement.title}`, html, text };
+}
+
+module.exports = { buildAnnouncementEmail };
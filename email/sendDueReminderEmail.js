@@ -0,0 +1,62 @@
+// email/sendDueReminderEmail.js
+const { escapeHtml, getPortalUrl, getSupportEmail, sendDiplomaEmail } = require('./emailHelpers');
+
+function describe(reminder) {
+  return reminder.kind === 'overdue'
+    ? `was due ${reminder.due_date} (now overdue)`
+    : `is due ${reminder.due_date}`;
+}
+
+function buildHtml({ greetingName, studentName, isParent, reminders, portalUrl, supportEmail }) {
+  const hi = greetingName ? `Hi ${escapeHtml(greetingName)},` : 'Hello,';
+  const intro = isParent
+    ? `A quick reminder about ${escapeHtml(studentName || 'your student')}'s Access USA Diploma tasks:`
+    : 'A quick reminder about your Access USA Diploma tasks:';
+  const list = reminders
+    .map((r) => `<li><strong>${escapeHtml(r.title)}</strong> ${escapeHtml(describe(r))}</li>`)
+    .join('');
+
+  return `
+  <div style="font-family:system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;line-height:1.45">
+    <p>${hi}</p>
+    <p>${intro}</p>
+    <ul>${list}</ul>
+    <p><a href="${escapeHtml(portalUrl)}">Open the Diploma Portal</a></p>
+    <p style="color:#666;font-size:12px;margin-top:18px">Questions? ${escapeHtml(supportEmail)}. You can turn off reminder emails in the portal settings.</p>
+  </div>`;
+}
+
+function buildText({ greetingName, studentName, isParent, reminders, portalUrl, supportEmail }) {
+  const hi = greetingName ? `Hi ${greetingName},` : 'Hello,';
+  return [
+    hi,
+    '',
+    isParent
+      ? `A quick reminder about ${studentName || 'your student'}'s Access USA Diploma tasks:`
+      : 'A quick reminder about your Access USA Diploma tasks:',
+    '',
+    ...reminders.map((r) => `- ${r.title} ${describe(r)}`),
+    '',
+    `Open: ${portalUrl}`,
+    `Help: ${supportEmail}`,
+  ].join('\n');
+}
+
+// reminders: [{ title, due_date, kind: 'due_in_<n>d' | 'overdue' }]
+async function sendDueReminderEmail({ toEmail, greetingName, studentName, isParent, reminders }) {
+  const args = {
+    greetingName: String(greetingName || '').trim(),
+    studentName,
+    isParent: !!isParent,
+    reminders,
+    portalUrl: getPortalUrl(),
+    supportEmail: getSupportEmail(),
+  };
+
+  const anyOverdue = reminders.some((r) => r.kind === 'overdue');
+  const subject = anyOverdue ? 'Diploma task overdue' : 'Diploma task due soon';
+
+  return sendDiplomaEmail({ to: toEmail, subject, html: buildHtml(args), text: buildText(args) });
+}
+
+module.exports = { sendDueReminderEmail };
@@ -0,0 +1,64 @@
+// email/sendEmailChangeNotice.js
+const { escapeHtml, getPortalUrl, getSupportEmail, sendDiplomaEmail } = require('./emailHelpers');
+
+function buildHtml({ firstName, oldEmail, newEmail, isOldAddress, portalUrl, supportEmail }) {
+  const hi = firstName ? `Hi ${escapeHtml(firstName)},` : 'Hello,';
+  const lead = isOldAddress
+    ? `The email address on your <strong>Access USA Diploma Portal</strong> account was changed from this address to <strong>${escapeHtml(newEmail)}</strong>.`
+    : `This address is now the sign-in email for your <strong>Access USA Diploma Portal</strong> account (previously ${escapeHtml(oldEmail)}).`;
+
+  return `
+  <div style="font-family:system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;line-height:1.45">
+    <p>${hi}</p>
+    <p>${lead}</p>
+    <p>From now on, sign in with: <strong>${escapeHtml(newEmail)}</strong></p>
+    <p><a href="${escapeHtml(portalUrl)}">${escapeHtml(portalUrl)}</a></p>
+    <p>If you did not expect this change, contact <a href="mailto:${escapeHtml(supportEmail)}">${escapeHtml(supportEmail)}</a> right away.</p>
+  </div>`;
+}
+
+function buildText({ firstName, oldEmail, newEmail, isOldAddress, portalUrl, supportEmail }) {
+  const hi = firstName ? `Hi ${firstName},` : 'Hello,';
+  return [
+    hi,
+    '',
+    isOldAddress
+      ? `The email address on your Access USA Diploma Portal account was changed from this address to ${newEmail}.`
+      : `This address is now the sign-in email for your Access USA Diploma Portal account (previously ${oldEmail}).`,
+    '',
+    `Sign in with: ${newEmail}`,
+    `Open: ${portalUrl}`,
+    '',
+    `Did not expect this? Contact ${supportEmail}`,
+  ].join('\n');
+}
+
+// Sends the notice to both the old and the new address.
+// Returns { old: { ok, id?, error? }, new: { ok, id?, error? } } — never throws.
+async function sendEmailChangeNotice({ oldEmail, newEmail, firstName }) {
+  const portalUrl = getPortalUrl();
+  const supportEmail = getSupportEmail();
+  const cleanFirstName = String(firstName || '').trim();
+
+  const sendOne = async (to, isOldAddress) => {
+    try {
+      const args = { firstName: cleanFirstName, oldEmail, newEmail, isOldAddress, portalUrl, supportEmail };
+      const data = await sendDiplomaEmail({
+        to,
+        subject: 'Your Diploma Portal email address was changed',
+        html: buildHtml(args),
+        text: buildText(args),
+      });
+      return { ok: true, id: data?.id || null };
+    } catch (e) {
+      return { ok: false, error: e?.message || 'Send failed' };
+    }
+  };
+
+  return {
+    old: await sendOne(oldEmail, true),
+    new: await sendOne(newEmail, false),
+  };
+}
+
+module.exports = { sendEmailChangeNotice };
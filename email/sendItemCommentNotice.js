@@ -0,0 +1,38 @@
+// email/sendItemCommentNotice.js
+const { escapeHtml, getPortalUrl, sendDiplomaEmail } = require('./emailHelpers');
+
+function buildHtml({ greetingName, authorLabel, itemTitle, body, linkUrl }) {
+  const hi = greetingName ? `Hi ${escapeHtml(greetingName)},` : 'Hello,';
+  return `
+  <div style="font-family:system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;line-height:1.45">
+    <p>${hi}</p>
+    <p><strong>${escapeHtml(authorLabel)}</strong> commented on <strong>${escapeHtml(itemTitle)}</strong>:</p>
+    <blockquote style="margin:0 0 12px;padding:8px 12px;border-left:3px solid #ddd;color:#333;white-space:pre-wrap">${escapeHtml(body)}</blockquote>
+    <p><a href="${escapeHtml(linkUrl)}">Open the Diploma Portal to reply</a></p>
+  </div>`;
+}
+
+function buildText({ greetingName, authorLabel, itemTitle, body, linkUrl }) {
+  const hi = greetingName ? `Hi ${greetingName},` : 'Hello,';
+  return [hi, '', `${authorLabel} commented on "${itemTitle}":`, '', body, '', `Reply: ${linkUrl}`].join('\n');
+}
+
+// `linkUrl` defaults to the student portal; staff notices pass the admin URL.
+async function sendItemCommentNotice({ toEmail, greetingName, authorLabel, itemTitle, body, linkUrl }) {
+  const args = {
+    greetingName: String(greetingName || '').trim(),
+    authorLabel: authorLabel || 'Someone',
+    itemTitle: itemTitle || 'a task',
+    body: String(body || ''),
+    linkUrl: linkUrl || getPortalUrl(),
+  };
+
+  return sendDiplomaEmail({
+    to: toEmail,
+    subject: `New comment on "${args.itemTitle}"`,
+    html: buildHtml(args),
+    text: buildText(args),
+  });
+}
+
+module.exports = { sendItemCommentNotice };
@@ -0,0 +1,86 @@
+// email/sendStaffDigestEmail.js
+const { escapeHtml, sendDiplomaEmail } = require('./emailHelpers');
+
+// Long sections are cut off in the email; the admin list has the full picture
+const SECTION_LIMIT = 50;
+
+function adminUrl() {
+  return process.env.DIPLOMA_ADMIN_URL || 'https://ausa.io/diploma/admin';
+}
+
+function studentLabel(s) {
+  const cohort = s.cohort ? ` (${s.cohort})` : '';
+  return `${s.full_name || s.email || s.id}${cohort}`;
+}
+
+function buildSections(digest) {
+  return [
+    {
+      title: `Students with overdue items (${digest.overdue.length})`,
+      rows: digest.overdue.map((s) => `${studentLabel(s)} — ${s.overdue_count} overdue`),
+    },
+    {
+      title: `Inactive for more than ${digest.inactive_days} days (${digest.inactive.length})`,
+      rows: digest.inactive.map((s) => `${studentLabel(s)} — ${s.inactive_days} days`),
+    },
+    {
+      title: `Never linked their portal login (${digest.unlinked.length})`,
+      rows: digest.unlinked.map((s) => `${studentLabel(s)}${s.invited_at ? ` — invited ${String(s.invited_at).slice(0, 10)}` : ' — not invited'}`),
+    },
+  ];
+}
+
+function sectionRows(rows) {
+  const shown = rows.slice(0, SECTION_LIMIT);
+  const more = rows.length - shown.length;
+  return { shown, more };
+}
+
+// { subject, html, text } — also used by the admin preview endpoint
+function buildStaffDigestContent(digest) {
+  const sections = buildSections(digest);
+  const url = adminUrl();
+  const subject = `Diploma weekly digest: ${digest.counts.overdue} overdue, ${digest.counts.inactive} inactive, ${digest.counts.unlinked} unlinked`;
+
+  const htmlSections = sections
+    .map(({ title, rows }) => {
+      const { shown, more } = sectionRows(rows);
+      const list = shown.length
+        ? `<ul>${shown.map((r) => `<li>${escapeHtml(r)}</li>`).join('')}</ul>`
+        : '<p style="color:#666">None</p>';
+      const moreLine = more > 0 ? `<p style="color:#666">…and ${more} more</p>` : '';
+      return `<h3 style="margin:18px 0 6px">${escapeHtml(title)}</h3>${list}${moreLine}`;
+    })
+    .join('');
+
+  const html = `
+  <div style="font-family:system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;line-height:1.45">
+    <p>Here is this week's Access USA Diploma summary (${digest.counts.students} active students).</p>
+    ${htmlSections}
+    <p style="margin-top:18px"><a href="${escapeHtml(url)}">Open Diploma Admin</a></p>
+  </div>`;
+
+  const text = [
+    `This week's Access USA Diploma summary (${digest.counts.students} active students).`,
+    ...sections.flatMap(({ title, rows }) => {
+      const { shown, more } = sectionRows(rows);
+      return [
+        '',
+        title,
+        ...(shown.length ? shown.map((r) => `- ${r}`) : ['None']),
+        ...(more > 0 ? [`...and ${more} more`] : []),
+      ];
+    }),
+    '',
+    `Open: ${url}`,
+  ].join('\n');
+
+  return { subject, html, text };
+}
+
+async function sendStaffDigestEmail({ toEmail, digest }) {
+  const { subject, html, text } = buildStaffDigestContent(digest);
+  return sendDiplomaEmail({ to: toEmail, subject, html, text });
+}
+
+module.exports = { buildStaffDigestContent, sendStaffDigestEmail };
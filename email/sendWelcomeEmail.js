@@ -1,49 +1,53 @@
 // email/sendWelcomeEmail.js
 const { getResendClient } = require('./resendClient');
+const { escapeHtml } = require('./emailHelpers');
 
-function escapeHtml(s = '') {
-  return String(s)
-    .replaceAll('&', '&amp;')
-    .replaceAll('<', '&lt;')
-    .replaceAll('>', '&gt;')
-    .replaceAll('"', '&quot;')
-    .replaceAll("'", '&#039;');
+function formatExpiry(iso) {
+  const d = iso ? new Date(iso) : null;
+  if (!d || Number.isNaN(d.getTime())) return null;
+  return d.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
 }
 
-function buildHtml({ firstName, email, portalUrl, supportEmail }) {
+// With a claim link the button goes through it, so any login (e.g. Google) gets linked to this student
+function buildHtml({ firstName, email, portalUrl, supportEmail, claimUrl, claimExpiry }) {
   const hi = firstName ? `Hi ${escapeHtml(firstName)},` : 'Hello,';
+  const claimNote = claimUrl
+    ? `<p style="color:#666;font-size:13px">This link connects your account the first time you use it${
+        claimExpiry ? ` and expires on ${escapeHtml(claimExpiry)}` : ''
+      }. It works even if you sign in with a different email or with Google.</p>`
+    : '';
   return `
   <div style="font-family:system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;line-height:1.45">
     <p>${hi}</p>
     <p>Welcome to the <strong>Access USA Diploma Portal</strong>.</p>
     <p>You can access your binder, announcements, and next steps here:</p>
     <p>
-      <a href="${escapeHtml(portalUrl)}"
+      <a href="${escapeHtml(claimUrl || portalUrl)}"
          style="display:inline-block;padding:10px 14px;border-radius:10px;text-decoration:none;border:1px solid #ddd">
         Open Diploma Portal
       </a>
     </p>
+    ${claimNote}
     <p><strong>Sign in with:</strong> ${escapeHtml(email)}</p>
     <p>If you run into any issues, contact <a href="mailto:${escapeHtml(supportEmail)}">${escapeHtml(supportEmail)}</a>.</p>
     <p style="color:#666;font-size:12px;margin-top:18px">If you did not expect this email, you can ignore it.</p>
   </div>`;
 }
 
-function buildText({ firstName, email, portalUrl, supportEmail }) {
+function buildText({ firstName, email, portalUrl, supportEmail, claimUrl, claimExpiry }) {
   const hi = firstName ? `Hi ${firstName},` : 'Hello,';
-  return [
-    hi,
-    '',
-    'Welcome to the Access USA Diploma Portal.',
-    '',
-    `Open: ${portalUrl}`,
-    `Sign in with: ${email}`,
-    '',
-    `Help: ${supportEmail}`,
-  ].join('\n');
+  const lines = [hi, '', 'Welcome to the Access USA Diploma Portal.', '', `Open: ${claimUrl || portalUrl}`];
+  if (claimUrl) {
+    lines.push(
+      `(This link connects your account the first time you use it${claimExpiry ? ` and expires on ${claimExpiry}` : ''}.)`
+    );
+  }
+  lines.push(`Sign in with: ${email}`, '', `Help: ${supportEmail}`);
+  return lines.join('\n');
 }
 
-async function sendWelcomeToDiplomaPortal({ toEmail, firstName }) {
+// claimUrl / claimExpiresAt: optional single-use invite claim link (utils/diplomaInviteClaims.js)
+async function sendWelcomeToDiplomaPortal({ toEmail, firstName, claimUrl, claimExpiresAt }) {
   const resend = getResendClient();
   if (!resend) throw new Error('RESEND_API_KEY is not configured on the API service.');
 
@@ -60,13 +64,17 @@ async function sendWelcomeToDiplomaPortal({ toEmail, firstName }) {
   const portalUrl = process.env.DIPLOMA_PORTAL_URL || 'https://ausa.io/diploma';
   const supportEmail = process.env.DIPLOMA_SUPPORT_EMAIL || 'support@ausa.io';
 
+  const claimExpiry = formatExpiry(claimExpiresAt);
+
   const subject = 'Welcome to the Diploma Portal';
-  const html = buildHtml({ firstName: cleanFirstName, email: cleanToEmail, portalUrl, supportEmail });
+  const html = buildHtml({ firstName: cleanFirstName, email: cleanToEmail, portalUrl, supportEmail, claimUrl, claimExpiry });
   const text = buildText({
     firstName: cleanFirstName, // (text doesn't HTML-escape, but we already trimmed)
     email: cleanToEmail,
     portalUrl,
     supportEmail,
+    claimUrl,
+    claimExpiry,
   });
 
   const { data, error } = await resend.emails.send({
@@ -10,11 +10,71 @@ const { createClient } = require('@supabase/supabase-js');
 const { randomUUID } = require('crypto');
 
 const { sendWelcomeToDiplomaPortal } = require('./email/sendWelcomeEmail');
+const { sendEmailChangeNotice } = require('./email/sendEmailChangeNotice');
+const {
+  ALLOWED_DIPLOMA_TIERS,
+  cleanStringOrNull,
+  cleanLowerEmailOrNull,
+  cleanBoolNullable,
+  firstNameOf,
+  buildStudentInsert,
+  recordInviteStatus,
+  isResendConfigured,
+  issueInviteClaimSafe,
+  revokeOlderInviteClaimsSafe,
+  sendStudentInvite,
+  diffStudentFields,
+  recordStudentHistory,
+} = require('./utils/diplomaUtils');
+const { hashClaimToken, isClaimTokenFormat, revokeOlderInviteClaims } = require('./utils/diplomaInviteClaims');
+const {
+  parseStudentListParams,
+  needsDerivedProcessing,
+  buildStudentListQuery,
+  fetchAllStudentRows,
+  applyDerivedProcessing,
+} = require('./utils/diplomaStudentList');
+const {
+  ITEM_STATUSES,
+  ITEM_WITH_EVENTS_SELECT,
+  buildItemInsert,
+  buildItemUpdate,
+  canStudentTransition,
+  completionFields,
+  sortStatusEvents,
+  withStatusEvent,
+  recordItemStatusEvent,
+} = require('./utils/diplomaItems');
+const { autoApplyTierTemplates } = require('./utils/diplomaTemplates');
+const { fetchStudentMilestoneProgress, mergeMilestoneProgress } = require('./utils/diplomaMilestones');
+const { isVisibleToStudent, applyLiveAnnouncementFilters } = require('./utils/diplomaAnnouncements');
+const {
+  STUDENT_ARCHIVED_MESSAGE,
+  buildStudentMe,
+  fetchVisibleStudentItems,
+  fetchStudentAnnouncements,
+  buildStudentSummary,
+} = require('./utils/diplomaStudentView');
 
 // ✅ NEW: Website admin (forms inbox + staff management)
 const createRequireWebsiteStaff = require('./middleware/requireWebsiteStaff');
 const adminInboxRouter = require('./routes/adminInbox');
 const createWebsiteAdminStaffRouter = require('./routes/websiteAdminStaff');
+const createDiplomaAdminStudentsRouter = require('./routes/diplomaAdminStudents');
+const createDiplomaParentRouter = require('./routes/diplomaParent');
+const createDiplomaItemCommentsRouter = require('./routes/diplomaItemComments');
+const createDiplomaAdminTemplatesRouter = require('./routes/diplomaAdminTemplates');
+const createDiplomaAdminItemsRouter = require('./routes/diplomaAdminItems');
+const createDiplomaAdminRemindersRouter = require('./routes/diplomaAdminReminders');
+const createDiplomaAdminDigestRouter = require('./routes/diplomaAdminDigest');
+const createDiplomaCalendarRouter = require('./routes/diplomaCalendar');
+const createDiplomaAdminAnnouncementsRouter = require('./routes/diplomaAdminAnnouncements');
+const createDiplomaAdminStudentPreviewRouter = require('./routes/diplomaAdminStudentPreview');
+const createDiplomaAdminMilestonesRouter = require('./routes/diplomaAdminMilestones');
+const createDiplomaAdminStudentMergeRouter = require('./routes/diplomaAdminStudentMerge');
+const createDiplomaWebhooksRouter = require('./routes/diplomaWebhooks');
+const { startDueReminderScheduler } = require('./jobs/dueReminders');
+const { startStaffDigestScheduler } = require('./jobs/staffDigest');
 
 
 
@@ -39,7 +99,14 @@ const corsOptions = {
 };
 
 app.use(cors(corsOptions));
-app.use(express.json());
+// Webhook signatures are computed over the exact bytes received, so keep them for those routes
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith('/api/diploma/webhooks/')) req.rawBody = buf;
+    },
+  })
+);
 
 // ---------- Request ID middleware ----------
 app.use((req, res, next) => {
@@ -69,41 +136,6 @@ function sendError(res, status, code, message, extra = {}) {
   });
 }
 
-const ALLOWED_DIPLOMA_TIERS = new Set(['Targeted', 'Platinum', 'Diamond', 'Ivy']);
-
-function cleanStringOrNull(v) {
-  if (typeof v !== 'string') return null;
-  const s = v.trim();
-  return s ? s : null;
-}
-
-function cleanLowerEmailOrNull(v) {
-  const s = cleanStringOrNull(v);
-  return s ? s.toLowerCase() : null;
-}
-
-function cleanBoolNullable(v) {
-  // nullable boolean: undefined/null => null, otherwise coerce
-  if (v === undefined || v === null) return null;
-  return !!v;
-}
-
-async function recordInviteStatus({ studentId, sendResult }) {
-  const patch = {
-    invited_at: new Date().toISOString(),
-    last_invite_message_id: sendResult?.id ? String(sendResult.id) : null,
-  };
-
-  const { error } = await supabase
-    .from('diploma_students')
-    .update(patch)
-    .eq('id', studentId);
-
-  if (error) {
-    throw new Error(error.message || 'Failed to record invite status');
-  }
-}
-
 // ---------- Auth0 JWT verification ----------
 const jwksClient = jwksRsa({
   jwksUri: `https://${process.env.AUTH0_DOMAIN}/.well-known/jwks.json`,
@@ -215,6 +247,11 @@ app.use('/api/admin', adminRouter);
 //  STUDENT-FACING ROUTES
 // --------------------------------------------------
 
+// Archived students keep their row (and Auth0 link) but lose portal access
+function sendStudentArchived(res) {
+  return sendError(res, 403, 'STUDENT_ARCHIVED', STUDENT_ARCHIVED_MESSAGE);
+}
+
 // GET /api/diploma/me
 app.get('/api/diploma/me', authenticateJwt, async (req, res) => {
   const auth0Sub = req.user.sub;
@@ -233,7 +270,9 @@ app.get('/api/diploma/me', authenticateJwt, async (req, res) => {
     return sendError(res, 404, 'NOT_FOUND', 'Diploma student not found');
   }
 
-  return res.json(student);
+  if (student.archived_at) return sendStudentArchived(res);
+
+  return res.json(await buildStudentMe(supabase, student, { requestId: req.requestId }));
 });
 
 // GET /api/diploma/me/items
@@ -242,7 +281,7 @@ app.get('/api/diploma/me/items', authenticateJwt, async (req, res) => {
 
   const { data: student, error: studentError } = await supabase
     .from('diploma_students')
-    .select('id')
+    .select('id, archived_at')
     .eq('auth0_sub', auth0Sub)
     .single();
 
@@ -250,22 +289,255 @@ app.get('/api/diploma/me/items', authenticateJwt, async (req, res) => {
     return sendError(res, 404, 'NOT_FOUND', 'Diploma student not found');
   }
 
-  const { data: items, error: itemsError } = await supabase
+  if (student.archived_at) return sendStudentArchived(res);
+
+  try {
+    return res.json(await fetchVisibleStudentItems(supabase, student.id));
+  } catch (e) {
+    console.error('Error fetching student items', {
+      requestId: req.requestId,
+      error: e?.message,
+    });
+    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch items');
+  }
+});
+
+// GET /api/diploma/me/summary
+// Dashboard in one call: task counts, next 3 due items, unread announcements, binder/folder links
+// and agreement status. Same visibility rules as /me/items and /announcements.
+app.get('/api/diploma/me/summary', authenticateJwt, async (req, res) => {
+  const { data: student, error: studentError } = await supabase
+    .from('diploma_students')
+    .select('*')
+    .eq('auth0_sub', req.user.sub)
+    .single();
+
+  if (studentError || !student) {
+    return sendError(res, 404, 'NOT_FOUND', 'Diploma student not found');
+  }
+
+  if (student.archived_at) return sendStudentArchived(res);
+
+  try {
+    const [items, announcements] = await Promise.all([
+      fetchVisibleStudentItems(supabase, student.id),
+      fetchStudentAnnouncements(supabase, student, { requestId: req.requestId }),
+    ]);
+    return res.json(buildStudentSummary(student, items, announcements));
+  } catch (e) {
+    console.error('Error building student summary', {
+      requestId: req.requestId,
+      error: e?.message,
+    });
+    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load summary');
+  }
+});
+
+// Loads the caller's student row + one of their visible items.
+// Sends the error response itself and returns null when access is not allowed.
+async function loadOwnVisibleItem(req, res, itemId) {
+  const { data: student, error: studentError } = await supabase
+    .from('diploma_students')
+    .select('id, archived_at')
+    .eq('auth0_sub', req.user.sub)
+    .single();
+
+  if (studentError || !student) {
+    sendError(res, 404, 'NOT_FOUND', 'Diploma student not found');
+    return null;
+  }
+
+  if (student.archived_at) {
+    sendStudentArchived(res);
+    return null;
+  }
+
+  const { data: item, error: itemError } = await supabase
     .from('diploma_student_items')
     .select('*')
+    .eq('id', itemId)
     .eq('student_id', student.id)
     .eq('visible_to_student', true)
-    .order('created_at', { ascending: false });
+    .maybeSingle();
 
-  if (itemsError) {
-    console.error('Error fetching student items', {
+  if (itemError) {
+    console.error('Error loading student item', { requestId: req.requestId, error: itemError.message });
+    sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load item');
+    return null;
+  }
+  if (!item) {
+    sendError(res, 404, 'NOT_FOUND', 'Item not found');
+    return null;
+  }
+
+  return { student, item };
+}
+
+// Student-side status change on an own task (update + timeline event), returns the item with events.
+async function applyStudentItemStatus(req, res, item, update, { note, linkUrl } = {}) {
+  const { data, error } = await supabase
+    .from('diploma_student_items')
+    .update(update)
+    .eq('id', item.id)
+    .select(ITEM_WITH_EVENTS_SELECT)
+    .single();
+
+  if (error) {
+    console.error('Error updating student item status', { requestId: req.requestId, error: error.message });
+    sendError(res, 500, 'SUPABASE_ERROR', 'Failed to update item');
+    return null;
+  }
+
+  const event = await recordItemStatusEvent({
+    supabase,
+    itemId: item.id,
+    fromStatus: item.status,
+    toStatus: update.status,
+    actorType: 'student',
+    actorId: req.user.sub,
+    note,
+    linkUrl,
+    requestId: req.requestId,
+  });
+
+  return withStatusEvent(data, event);
+}
+
+// PATCH /api/diploma/me/items/:id
+// Students can only complete / reopen their own visible tasks: body { status: 'open' | 'done' }.
+// 'open' also withdraws a pending submission; it can't undo a staff approval.
+app.patch('/api/diploma/me/items/:id', authenticateJwt, async (req, res) => {
+  const body = req.body || {};
+
+  const extraKeys = Object.keys(body).filter((k) => k !== 'status');
+  if (extraKeys.length > 0) {
+    return sendError(res, 400, 'BAD_REQUEST', 'Only status can be changed', { fields: extraKeys });
+  }
+  if (!['open', 'done'].includes(body.status)) {
+    return sendError(res, 400, 'BAD_REQUEST', 'status must be one of: open | done');
+  }
+
+  const loaded = await loadOwnVisibleItem(req, res, req.params.id);
+  if (!loaded) return;
+  const { item } = loaded;
+
+  if (item.item_type !== 'task') {
+    return sendError(res, 400, 'NOT_A_TASK', 'Only tasks can be marked done');
+  }
+
+  if (item.status === body.status) {
+    // No change, but answer in the same shape as every other item response
+    const { data: current, error: currentErr } = await supabase
+      .from('diploma_student_items')
+      .select(ITEM_WITH_EVENTS_SELECT)
+      .eq('id', item.id)
+      .single();
+
+    if (currentErr) {
+      console.error('Error loading student item', { requestId: req.requestId, error: currentErr.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load item');
+    }
+    return res.json(sortStatusEvents(current));
+  }
+
+  if (!canStudentTransition(item.status, body.status)) {
+    return sendError(res, 409, 'INVALID_TRANSITION', `Cannot change status from ${item.status} to ${body.status}`);
+  }
+
+  // An item staff approved through review stays done unless staff reopen it
+  if (item.status === 'done' && item.reviewed_at && item.completed_by_type === 'staff') {
+    return sendError(res, 409, 'INVALID_TRANSITION', 'Approved items can only be reopened by staff');
+  }
+
+  const update = { status: body.status, ...completionFields(body.status, 'student', req.user.sub) };
+
+  const data = await applyStudentItemStatus(req, res, item, update);
+  if (!data) return;
+
+  return res.json(sortStatusEvents(data));
+});
+
+// POST /api/diploma/me/items/:id/submit
+// body: { link_url, comment? } — hands a task in for staff review (open | needs_revision -> submitted)
+app.post('/api/diploma/me/items/:id/submit', authenticateJwt, async (req, res) => {
+  const linkUrl = cleanStringOrNull(req.body?.link_url);
+  const comment = cleanStringOrNull(req.body?.comment);
+
+  if (!linkUrl || !/^https?:\/\//i.test(linkUrl)) {
+    return sendError(res, 400, 'BAD_REQUEST', 'link_url must be an http(s) URL');
+  }
+
+  const loaded = await loadOwnVisibleItem(req, res, req.params.id);
+  if (!loaded) return;
+  const { item } = loaded;
+
+  if (item.item_type !== 'task') {
+    return sendError(res, 400, 'NOT_A_TASK', 'Only tasks accept submissions');
+  }
+  if (!canStudentTransition(item.status, 'submitted')) {
+    return sendError(res, 409, 'INVALID_TRANSITION', `Cannot submit an item that is ${item.status}`);
+  }
+
+  const update = {
+    status: 'submitted',
+    submission_url: linkUrl,
+    submission_comment: comment,
+    submitted_at: new Date().toISOString(),
+    ...completionFields('submitted'),
+  };
+
+  const data = await applyStudentItemStatus(req, res, item, update, { note: comment, linkUrl });
+  if (!data) return;
+
+  return res.json(sortStatusEvents(data));
+});
+
+// PATCH /api/diploma/me/preferences
+// body: { reminders_opt_out: boolean } — turns due-date reminder emails off/on for the student
+app.patch('/api/diploma/me/preferences', authenticateJwt, async (req, res) => {
+  const { reminders_opt_out } = req.body || {};
+
+  if (typeof reminders_opt_out !== 'boolean') {
+    return sendError(res, 400, 'BAD_REQUEST', 'reminders_opt_out must be a boolean');
+  }
+
+  const { data: student, error: studentErr } = await supabase
+    .from('diploma_students')
+    .select('id, archived_at, reminders_opt_out')
+    .eq('auth0_sub', req.user.sub)
+    .maybeSingle();
+
+  if (studentErr) {
+    console.error('Error loading student for preferences', { requestId: req.requestId, error: studentErr.message });
+    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load student');
+  }
+  if (!student) return sendError(res, 404, 'NOT_FOUND', 'Diploma student not found');
+  if (student.archived_at) return sendStudentArchived(res);
+
+  const { data, error } = await supabase
+    .from('diploma_students')
+    .update({ reminders_opt_out })
+    .eq('id', student.id)
+    .select('id, reminders_opt_out')
+    .single();
+
+  if (error) {
+    console.error('Error updating student preferences', { requestId: req.requestId, error: error.message });
+    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to update preferences');
+  }
+
+  const changes = diffStudentFields(student, data, ['reminders_opt_out']);
+  if (Object.keys(changes).length > 0) {
+    await recordStudentHistory({
+      supabase,
+      studentId: student.id,
+      action: 'preferences',
+      changes,
       requestId: req.requestId,
-      error: itemsError.message,
     });
-    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch items');
   }
 
-  return res.json(items || []);
+  return res.json(data);
 });
 
 // POST /api/diploma/me/link-auth0
@@ -343,6 +615,15 @@ app.post('/api/diploma/me/link-auth0', authenticateJwt, async (req, res) => {
       return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to link Auth0 sub');
     }
 
+    await recordStudentHistory({
+      supabase,
+      studentId: student.id,
+      action: 'auth0_link',
+      changes: diffStudentFields(student, updated, ['auth0_sub']),
+      requestId: req.requestId,
+      note: 'email match',
+    });
+
     return res.json({ ok: true, linked: true, student: updated });
   } catch (e) {
     console.error('link-auth0 exception', { requestId: req.requestId, message: e?.message });
@@ -350,40 +631,286 @@ app.post('/api/diploma/me/link-auth0', authenticateJwt, async (req, res) => {
   }
 });
 
+// POST /api/diploma/me/claim-invite
+// body: { token } — the single-use token from the welcome email's claim link. Links the caller's sub to
+// that student whatever email the login uses. Errors: INVALID_CLAIM_TOKEN (404), CLAIM_TOKEN_EXPIRED /
+// CLAIM_TOKEN_REVOKED (410, ask staff for a new invite), CLAIM_TOKEN_USED and ALREADY_LINKED (409).
+app.post('/api/diploma/me/claim-invite', authenticateJwt, async (req, res) => {
+  try {
+    const sub = req.user?.sub;
+    if (!sub) return sendError(res, 401, 'MISSING_SUB', 'Missing sub in token');
+
+    const token = req.body?.token;
+    if (!isClaimTokenFormat(token)) return sendError(res, 404, 'INVALID_CLAIM_TOKEN', 'Invite link is not valid');
+
+    const { data: claim, error: claimErr } = await supabase
+      .from('diploma_invite_claims')
+      .select('id, student_id, expires_at, claimed_at, claimed_sub, revoked_at')
+      .eq('token_hash', hashClaimToken(token))
+      .maybeSingle();
+
+    if (claimErr) {
+      console.error('Error loading invite claim', { requestId: req.requestId, error: claimErr.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load invite');
+    }
+    if (!claim) return sendError(res, 404, 'INVALID_CLAIM_TOKEN', 'Invite link is not valid');
+
+    const { data: student, error: studentErr } = await supabase
+      .from('diploma_students')
+      .select('id, email, auth0_sub, archived_at')
+      .eq('id', claim.student_id)
+      .maybeSingle();
+
+    if (studentErr) {
+      console.error('Error loading student for invite claim', { requestId: req.requestId, error: studentErr.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load student');
+    }
+    if (!student) return sendError(res, 404, 'INVALID_CLAIM_TOKEN', 'Invite link is not valid');
+
+    const linked = { id: student.id, email: student.email, auth0_sub: student.auth0_sub };
+
+    // Re-opening your own used link is harmless
+    if (claim.claimed_at) {
+      if (claim.claimed_sub === sub && student.auth0_sub === sub) {
+        return res.json({ ok: true, linked: true, already: true, student: linked });
+      }
+      return sendError(res, 409, 'CLAIM_TOKEN_USED', 'This invite link has already been used.');
+    }
+    if (claim.revoked_at) {
+      return sendError(res, 410, 'CLAIM_TOKEN_REVOKED', 'This invite link was replaced by a newer invite. Use the latest email.');
+    }
+    if (new Date(claim.expires_at).getTime() <= Date.now()) {
+      return sendError(res, 410, 'CLAIM_TOKEN_EXPIRED', 'This invite link has expired. Ask us to send a new invite.');
+    }
+
+    if (student.archived_at) return sendStudentArchived(res);
+
+    if (student.auth0_sub && student.auth0_sub !== sub) {
+      return sendError(res, 409, 'ALREADY_LINKED', 'Student record is already linked to a different Auth0 user.');
+    }
+
+    const { data: other, error: otherErr } = await supabase
+      .from('diploma_students')
+      .select('id')
+      .eq('auth0_sub', sub)
+      .neq('id', student.id)
+      .limit(1);
+
+    if (otherErr) {
+      console.error('Error checking existing sub link', { requestId: req.requestId, error: otherErr.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to check existing link');
+    }
+    if (other?.length) {
+      return sendError(res, 409, 'ALREADY_LINKED', 'This login is already linked to another student record.');
+    }
+
+    // Consume the token before linking: only the request that flips claimed_at may use it
+    const { data: consumed, error: useErr } = await supabase
+      .from('diploma_invite_claims')
+      .update({ claimed_at: new Date().toISOString(), claimed_sub: sub })
+      .eq('id', claim.id)
+      .is('claimed_at', null)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (useErr) {
+      console.error('Error consuming invite claim', { requestId: req.requestId, error: useErr.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to use invite');
+    }
+    if (!consumed?.length) {
+      return sendError(res, 409, 'CLAIM_TOKEN_USED', 'This invite link has already been used.');
+    }
+
+    // Hand the token back if the link itself doesn't happen
+    const releaseClaim = async () => {
+      const { error } = await supabase
+        .from('diploma_invite_claims')
+        .update({ claimed_at: null, claimed_sub: null })
+        .eq('id', claim.id)
+        .eq('claimed_sub', sub);
+      if (error) {
+        console.error('Failed to release invite claim', { requestId: req.requestId, claimId: claim.id, message: error.message });
+      }
+    };
+
+    let updated = linked;
+    if (!student.auth0_sub) {
+      // Conditional on auth0_sub still being empty so a concurrent claim can't overwrite it
+      const { data, error: updErr } = await supabase
+        .from('diploma_students')
+        .update({ auth0_sub: sub })
+        .eq('id', student.id)
+        .is('auth0_sub', null)
+        .select('id, email, auth0_sub')
+        .maybeSingle();
+
+      if (updErr) {
+        console.error('Error linking student via invite claim', { requestId: req.requestId, error: updErr.message });
+        await releaseClaim();
+        return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to link Auth0 sub');
+      }
+      if (!data) {
+        await releaseClaim();
+        return sendError(res, 409, 'ALREADY_LINKED', 'Student record is already linked to a different Auth0 user.');
+      }
+      updated = data;
+
+      await recordStudentHistory({
+        supabase,
+        studentId: student.id,
+        action: 'auth0_link',
+        changes: diffStudentFields(student, data, ['auth0_sub']),
+        requestId: req.requestId,
+        note: 'invite claim',
+      });
+    }
+
+    return res.json({ ok: true, linked: true, student: updated });
+  } catch (e) {
+    console.error('claim-invite exception', { requestId: req.requestId, message: e?.message });
+    return sendError(res, 500, 'SERVER_ERROR', 'Claim failed');
+  }
+});
+
 // GET /api/diploma/announcements
+// Live announcements in the caller's audience, each with is_read / is_acknowledged.
 app.get('/api/diploma/announcements', authenticateJwt, async (req, res) => {
   const auth0Sub = req.user.sub;
 
   const { data: student } = await supabase
     .from('diploma_students')
-    .select('cohort')
+    .select('id, cohort, diploma_tier')
     .eq('auth0_sub', auth0Sub)
     .maybeSingle();
 
-  const now = new Date().toISOString();
+  try {
+    return res.json(await fetchStudentAnnouncements(supabase, student, { requestId: req.requestId }));
+  } catch (e) {
+    console.error('Error fetching announcements', { requestId: req.requestId, error: e?.message });
+    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch announcements');
+  }
+});
 
-  let query = supabase
-    .from('diploma_announcements')
-    .select('*')
-    .lte('starts_at', now)
-    .or(`ends_at.is.null,ends_at.gt.${now}`);
+// POST /api/diploma/announcements/:id/read
+// body: { acknowledge?: boolean } — marks a live announcement read; acknowledge also records acknowledged_at.
+// Idempotent: the first read_at / acknowledged_at are kept.
+app.post('/api/diploma/announcements/:id/read', authenticateJwt, async (req, res) => {
+  const acknowledge = req.body?.acknowledge === true;
 
-  if (student?.cohort) {
-    query = query.in('audience', ['all_diploma', `cohort_${student.cohort}`]);
-  } else {
-    query = query.eq('audience', 'all_diploma');
+  const { data: student, error: studentErr } = await supabase
+    .from('diploma_students')
+    .select('id, cohort, diploma_tier, archived_at')
+    .eq('auth0_sub', req.user.sub)
+    .maybeSingle();
+
+  if (studentErr) {
+    console.error('Error loading student for announcement read', { requestId: req.requestId, error: studentErr.message });
+    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load student');
   }
+  if (!student) return sendError(res, 404, 'NOT_FOUND', 'Diploma student not found');
+  if (student.archived_at) return sendStudentArchived(res);
 
-  const { data, error } = await query.order('created_at', { ascending: false });
+  const { data: announcement, error: annErr } = await applyLiveAnnouncementFilters(
+    supabase.from('diploma_announcements').select('*').eq('id', req.params.id)
+  ).maybeSingle();
 
-  if (error) {
-    console.error('Error fetching announcements', { requestId: req.requestId, error: error.message });
-    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch announcements');
+  if (annErr) {
+    console.error('Error loading announcement for read', { requestId: req.requestId, error: annErr.message });
+    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load announcement');
+  }
+  if (!announcement || !isVisibleToStudent(announcement, student)) {
+    return sendError(res, 404, 'NOT_FOUND', 'Announcement not found');
+  }
+
+  const nowIso = new Date().toISOString();
+  const readsTable = () => supabase.from('diploma_announcement_reads');
+
+  // ignoreDuplicates keeps the first read_at when the row already exists
+  const { error: readErr } = await readsTable().upsert(
+    { announcement_id: announcement.id, student_id: student.id, read_at: nowIso },
+    { onConflict: 'announcement_id,student_id', ignoreDuplicates: true }
+  );
+
+  if (readErr) {
+    console.error('Error recording announcement read', { requestId: req.requestId, error: readErr.message });
+    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to record read');
+  }
+
+  if (acknowledge) {
+    const { error: ackErr } = await readsTable()
+      .update({ acknowledged_at: nowIso })
+      .eq('announcement_id', announcement.id)
+      .eq('student_id', student.id)
+      .is('acknowledged_at', null);
+
+    if (ackErr) {
+      console.error('Error acknowledging announcement', { requestId: req.requestId, error: ackErr.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to record acknowledgement');
+    }
+  }
+
+  const { data: receipt, error: receiptErr } = await readsTable()
+    .select('read_at, acknowledged_at')
+    .eq('announcement_id', announcement.id)
+    .eq('student_id', student.id)
+    .single();
+
+  if (receiptErr) {
+    console.error('Error loading announcement read', { requestId: req.requestId, error: receiptErr.message });
+    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to record read');
   }
 
-  return res.json(data || []);
+  return res.json({
+    announcement_id: announcement.id,
+    is_read: true,
+    read_at: receipt.read_at,
+    is_acknowledged: !!receipt.acknowledged_at,
+    acknowledged_at: receipt.acknowledged_at || null,
+  });
 });
 
+// --------------------------------------------------
+//  PARENT-FACING ROUTES (read-only)
+// --------------------------------------------------
+
+app.use('/api/diploma/parent', createDiplomaParentRouter({ supabase, sendError, authenticateJwt }));
+
+// --------------------------------------------------
+//  INBOUND WEBHOOKS (provider-signed, no Auth0)
+// --------------------------------------------------
+
+app.use('/api/diploma/webhooks', createDiplomaWebhooksRouter({ supabase, sendError }));
+
+// --------------------------------------------------
+//  ITEM COMMENT THREADS (student + staff)
+// --------------------------------------------------
+
+app.use(
+  '/api/diploma',
+  createDiplomaItemCommentsRouter({
+    supabase,
+    sendError,
+    authenticateJwt,
+    requireAdmin: [authenticateJwt, requireAnyAdmin],
+    loadOwnVisibleItem,
+  })
+);
+
+// --------------------------------------------------
+//  CALENDAR FEEDS (.ics, secret-token URLs)
+// --------------------------------------------------
+
+app.use(
+  '/api/diploma',
+  createDiplomaCalendarRouter({
+    supabase,
+    sendError,
+    authenticateJwt,
+    requireAdmin: [authenticateJwt, requireAnyAdmin],
+    sendStudentArchived,
+  })
+);
+
 // --------------------------------------------------
 //  ADMIN – UPDATE / DELETE INDIVIDUAL ITEMS
 // --------------------------------------------------
@@ -393,27 +920,14 @@ app.patch('/api/diploma/admin/items/:itemId', authenticateJwt, requireAnyAdmin,
 
   if (!itemId) return sendError(res, 400, 'BAD_REQUEST', 'Item id is required');
 
-  const { title, body, drive_link_url, due_date, visible_to_student, item_type, status } = req.body || {};
-  const update = {};
-
-  if (title !== undefined) update.title = title;
-  if (body !== undefined) update.body = body;
-  if (drive_link_url !== undefined) update.drive_link_url = drive_link_url || null;
-  if (due_date !== undefined) update.due_date = due_date || null;
-  if (visible_to_student !== undefined) update.visible_to_student = !!visible_to_student;
+  const { status } = req.body || {};
 
-  if (item_type !== undefined) {
-    const allowedTypes = ['task', 'note', 'resource'];
-    if (!allowedTypes.includes(item_type)) {
-      return sendError(res, 400, 'BAD_REQUEST', 'item_type must be one of: task | note | resource');
-    }
-    update.item_type = item_type;
-  }
+  const { update, error: validationError } = buildItemUpdate(req.body || {});
+  if (validationError) return sendError(res, 400, 'BAD_REQUEST', validationError);
 
   if (status !== undefined) {
-    const allowedStatuses = ['open', 'done'];
-    if (!allowedStatuses.includes(status)) {
-      return sendError(res, 400, 'BAD_REQUEST', 'status must be one of: open | done');
+    if (!ITEM_STATUSES.includes(status)) {
+      return sendError(res, 400, 'BAD_REQUEST', `status must be one of: ${ITEM_STATUSES.join(' | ')}`);
     }
     update.status = status;
   }
@@ -422,11 +936,32 @@ app.patch('/api/diploma/admin/items/:itemId', authenticateJwt, requireAnyAdmin,
     return sendError(res, 400, 'BAD_REQUEST', 'No fields to update');
   }
 
+  // Staff may set any status; completion metadata + timeline follow real changes only
+  let previousStatus = null;
+  if (update.status !== undefined) {
+    const { data: current, error: curErr } = await supabase
+      .from('diploma_student_items')
+      .select('id, status')
+      .eq('id', itemId)
+      .maybeSingle();
+
+    if (curErr) {
+      console.error('Error loading admin student item', { requestId: req.requestId, error: curErr.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load student item');
+    }
+    if (!current) return sendError(res, 404, 'NOT_FOUND', 'Item not found');
+
+    previousStatus = current.status;
+    if (previousStatus !== update.status) {
+      Object.assign(update, completionFields(update.status, 'staff', req.staff?.user_id));
+    }
+  }
+
   const { data, error } = await supabase
     .from('diploma_student_items')
     .update(update)
     .eq('id', itemId)
-    .select('*')
+    .select(ITEM_WITH_EVENTS_SELECT)
     .single();
 
   if (error) {
@@ -434,7 +969,84 @@ app.patch('/api/diploma/admin/items/:itemId', authenticateJwt, requireAnyAdmin,
     return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to update student item');
   }
 
-  return res.json(data);
+  let event = null;
+  if (update.status !== undefined && previousStatus !== update.status) {
+    event = await recordItemStatusEvent({
+      supabase,
+      itemId,
+      fromStatus: previousStatus,
+      toStatus: update.status,
+      actorType: 'staff',
+      actorId: req.staff?.user_id,
+      requestId: req.requestId,
+    });
+  }
+
+  return res.json(sortStatusEvents(withStatusEvent(data, event)));
+});
+
+// POST /api/diploma/admin/items/:itemId/review
+// body: { decision: 'approve' | 'needs_revision', feedback? } — closes out a student submission
+app.post('/api/diploma/admin/items/:itemId/review', authenticateJwt, requireAnyAdmin, async (req, res) => {
+  const itemId = req.params.itemId;
+  const decision = req.body?.decision;
+  const feedback = cleanStringOrNull(req.body?.feedback);
+
+  if (!['approve', 'needs_revision'].includes(decision)) {
+    return sendError(res, 400, 'BAD_REQUEST', 'decision must be one of: approve | needs_revision');
+  }
+  if (decision === 'needs_revision' && !feedback) {
+    return sendError(res, 400, 'BAD_REQUEST', 'feedback is required when sending an item back');
+  }
+
+  const { data: item, error: itemErr } = await supabase
+    .from('diploma_student_items')
+    .select('id, status')
+    .eq('id', itemId)
+    .maybeSingle();
+
+  if (itemErr) {
+    console.error('Error loading item for review', { requestId: req.requestId, error: itemErr.message });
+    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load student item');
+  }
+  if (!item) return sendError(res, 404, 'NOT_FOUND', 'Item not found');
+  if (item.status !== 'submitted') {
+    return sendError(res, 409, 'INVALID_TRANSITION', `Only submitted items can be reviewed (item is ${item.status})`);
+  }
+
+  const toStatus = decision === 'approve' ? 'done' : 'needs_revision';
+  const update = {
+    status: toStatus,
+    reviewed_at: new Date().toISOString(),
+    reviewed_by: req.staff?.user_id || null,
+    review_feedback: feedback,
+    ...completionFields(toStatus, 'staff', req.staff?.user_id),
+  };
+
+  const { data, error } = await supabase
+    .from('diploma_student_items')
+    .update(update)
+    .eq('id', itemId)
+    .select(ITEM_WITH_EVENTS_SELECT)
+    .single();
+
+  if (error) {
+    console.error('Error reviewing student item', { requestId: req.requestId, error: error.message });
+    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to review student item');
+  }
+
+  const event = await recordItemStatusEvent({
+    supabase,
+    itemId,
+    fromStatus: item.status,
+    toStatus,
+    actorType: 'staff',
+    actorId: req.staff?.user_id,
+    note: feedback,
+    requestId: req.requestId,
+  });
+
+  return res.json(sortStatusEvents(withStatusEvent(data, event)));
 });
 
 app.delete('/api/diploma/admin/items/:itemId', authenticateJwt, requireAnyAdmin, async (req, res) => {
@@ -454,15 +1066,59 @@ app.delete('/api/diploma/admin/items/:itemId', authenticateJwt, requireAnyAdmin,
   return res.status(204).send();
 });
 
+// --------------------------------------------------
+//  ADMIN – STUDENT TOOLING (CSV import/export, templates, bulk items, ...)
+// --------------------------------------------------
+// Mounted ahead of the /students/:id routes so fixed paths (e.g. /students/export) win.
+
+const requireDiplomaAdmin = [authenticateJwt, requireAnyAdmin];
+
+app.use(
+  '/api/diploma/admin',
+  createDiplomaAdminStudentsRouter({ supabase, sendError, requireAdmin: requireDiplomaAdmin })
+);
+
+app.use(
+  '/api/diploma/admin',
+  createDiplomaAdminTemplatesRouter({ supabase, sendError, requireAdmin: requireDiplomaAdmin })
+);
+
+app.use(
+  '/api/diploma/admin',
+  createDiplomaAdminItemsRouter({ supabase, sendError, requireAdmin: requireDiplomaAdmin })
+);
+
+app.use(
+  '/api/diploma/admin',
+  createDiplomaAdminRemindersRouter({ supabase, sendError, requireAdmin: requireDiplomaAdmin })
+);
+
+app.use(
+  '/api/diploma/admin',
+  createDiplomaAdminDigestRouter({ supabase, sendError, requireAdmin: requireDiplomaAdmin })
+);
+
+app.use(
+  '/api/diploma/admin',
+  createDiplomaAdminStudentPreviewRouter({ supabase, sendError, requireAdmin: requireDiplomaAdmin })
+);
+
+app.use(
+  '/api/diploma/admin',
+  createDiplomaAdminMilestonesRouter({ supabase, sendError, requireAdmin: requireDiplomaAdmin })
+);
+
+app.use(
+  '/api/diploma/admin',
+  createDiplomaAdminStudentMergeRouter({ supabase, sendError, requireAdmin: requireDiplomaAdmin })
+);
+
 // --------------------------------------------------
 //  ADMIN – STUDENTS LIST
 // --------------------------------------------------
 
 app.get('/api/diploma/admin/students', authenticateJwt, requireAnyAdmin, async (req, res) => {
   try {
-    const q = String(req.query.q || req.query.query || '').trim();
-    const cohort = String(req.query.cohort || '').trim();
-
     const wantsMeta =
       req.query.page !== undefined ||
       req.query.pageSize !== undefined ||
@@ -471,56 +1127,14 @@ app.get('/api/diploma/admin/students', authenticateJwt, requireAnyAdmin, async (
       req.query.has_binder !== undefined ||
       req.query.missing_binder !== undefined ||
       req.query.missing_auth0_sub !== undefined ||
-      req.query.has_overdue !== undefined;
-
-    const page = Math.max(1, Number(req.query.page || 1));
-    const pageSize = Math.min(100, Math.max(1, Number(req.query.pageSize || 25)));
-
-    const requestedSort = String(req.query.sort || '');
-    const dir = req.query.dir === 'desc' ? 'desc' : 'asc';
+      req.query.has_overdue !== undefined ||
+      req.query.invite_status !== undefined ||
+      req.query.invite_bounced !== undefined;
 
-    const hasBinder = req.query.has_binder === '1' || req.query.has_binder === 'true';
-    const missingBinder = req.query.missing_binder === '1' || req.query.missing_binder === 'true';
-    const missingAuth0 = req.query.missing_auth0_sub === '1' || req.query.missing_auth0_sub === 'true';
-    const hasOverdue = req.query.has_overdue === '1' || req.query.has_overdue === 'true';
+    const params = parseStudentListParams(req.query);
+    const { page, pageSize, dir, dbSort } = params;
 
-    const derivedSortAllow = new Set(['items_count', 'overdue_count', 'last_activity_at']);
-    const needsDerivedProcessing = hasOverdue || derivedSortAllow.has(requestedSort);
-
-    const dbSortAllow = new Set(['full_name', 'email', 'cohort', 'created_at', 'updated_at']);
-    const dbSort = dbSortAllow.has(requestedSort) ? requestedSort : 'full_name';
-
-    let sb = supabase
-      .from('diploma_students')
-      .select(
-        [
-          'id',
-          'full_name',
-          'email',
-          'cohort',
-          'auth0_sub',
-          'drive_binder_url',
-          'drive_folder_url',
-          'created_at',
-          'updated_at',
-          'diploma_tier',
-          'has_signed_agreement',
-          'invited_at',
-          'last_invite_message_id',
-        ].join(','),
-        { count: 'exact' }
-      );
-
-    if (q) {
-      const like = `%${q}%`;
-      sb = sb.or(`full_name.ilike.${like},email.ilike.${like}`);
-    }
-
-    if (cohort) sb = sb.eq('cohort', cohort);
-
-    if (hasBinder) sb = sb.not('drive_binder_url', 'is', null).neq('drive_binder_url', '');
-    if (missingBinder) sb = sb.or('drive_binder_url.is.null,drive_binder_url.eq.');
-    if (missingAuth0) sb = sb.or('auth0_sub.is.null,auth0_sub.eq.');
+    const sb = buildStudentListQuery(supabase, params);
 
     if (!wantsMeta) {
       const { data, error } = await sb.order('full_name', { ascending: true });
@@ -531,70 +1145,16 @@ app.get('/api/diploma/admin/students', authenticateJwt, requireAnyAdmin, async (
       return res.json(data || []);
     }
 
-    if (needsDerivedProcessing) {
-      const { data: rowsAll, error } = await sb.order(dbSort, { ascending: dir === 'asc' });
-
-      if (error) {
-        console.error('Error fetching admin students (derived)', { requestId: req.requestId, error: error.message });
-        return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch students');
-      }
-
-      const safeRows = Array.isArray(rowsAll) ? rowsAll : [];
-
-      let merged = safeRows;
+    if (needsDerivedProcessing(params)) {
+      let rowsAll;
       try {
-        const ids = safeRows.map((r) => r.id).filter(Boolean);
-
-        if (ids.length > 0) {
-          const { data: rollups, error: rollupError } = await supabase.rpc('admin_student_rollup', {
-            student_ids: ids,
-          });
-
-          if (rollupError) {
-            console.error('Rollup RPC error', { requestId: req.requestId, error: rollupError.message });
-          } else {
-            const map = new Map((rollups || []).map((r) => [r.student_id, r]));
-            merged = safeRows.map((s) => ({
-              ...s,
-              ...(map.get(s.id) || { items_count: 0, overdue_count: 0, last_activity_at: null }),
-            }));
-          }
-        }
+        rowsAll = await fetchAllStudentRows(supabase, params);
       } catch (e) {
-        console.error('Rollup merge exception', { requestId: req.requestId, message: e?.message });
+        console.error('Error fetching admin students (derived)', { requestId: req.requestId, error: e?.message });
+        return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch students');
       }
 
-      if (hasOverdue) merged = merged.filter((s) => Number(s.overdue_count || 0) > 0);
-
-      const sortKey =
-        requestedSort && (dbSortAllow.has(requestedSort) || derivedSortAllow.has(requestedSort))
-          ? requestedSort
-          : 'full_name';
-
-      const asc = dir === 'asc';
-
-      merged = merged.slice().sort((a, b) => {
-        const av = a?.[sortKey];
-        const bv = b?.[sortKey];
-
-        if (['created_at', 'updated_at', 'last_activity_at'].includes(sortKey)) {
-          const ad = av ? new Date(av).getTime() : 0;
-          const bd = bv ? new Date(bv).getTime() : 0;
-          return asc ? ad - bd : bd - ad;
-        }
-
-        if (['items_count', 'overdue_count'].includes(sortKey)) {
-          const an = Number(av || 0);
-          const bn = Number(bv || 0);
-          return asc ? an - bn : bn - an;
-        }
-
-        const as = String(av || '').toLowerCase();
-        const bs = String(bv || '').toLowerCase();
-        if (as < bs) return asc ? -1 : 1;
-        if (as > bs) return asc ? 1 : -1;
-        return 0;
-      });
+      const merged = await applyDerivedProcessing(supabase, rowsAll, params, { requestId: req.requestId });
 
       const totalFiltered = merged.length;
       const start = (page - 1) * pageSize;
@@ -616,7 +1176,9 @@ app.get('/api/diploma/admin/students', authenticateJwt, requireAnyAdmin, async (
       return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch students');
     }
 
-    return res.json({ rows: rows || [], total: count || 0, page, pageSize });
+    const pageRows = await mergeMilestoneProgress(supabase, rows || [], { requestId: req.requestId });
+
+    return res.json({ rows: pageRows, total: count || 0, page, pageSize });
   } catch (e) {
     console.error('admin/students error', { requestId: req.requestId, message: e?.message });
     return sendError(res, 500, 'SERVER_ERROR', 'Server error');
@@ -629,45 +1191,17 @@ app.get('/api/diploma/admin/students', authenticateJwt, requireAnyAdmin, async (
 
 app.post('/api/diploma/admin/students', authenticateJwt, requireAnyAdmin, async (req, res) => {
   try {
-    const {
-      full_name,
-      email,
-      cohort,
-      drive_binder_url,
-      drive_folder_url,
-      auth0_sub,
-      send_invite,
-
-      diploma_tier,
-      parent_name,
-      parent_mobile,
-      parent_email,
-      has_signed_agreement,
-      signed_agreement_url,
-      running_notes_url,
-    } = req.body || {};
-
-    if (!email || typeof email !== 'string' || !email.trim()) {
-      return sendError(res, 400, 'BAD_REQUEST', 'Email is required');
-    }
-
-    const cleanEmail = email.trim().toLowerCase();
-    const cleanName = typeof full_name === 'string' ? full_name.trim() : '';
-    const cleanCohort = typeof cohort === 'string' ? cohort.trim() : null;
-
-    if (cleanCohort && !/^\d{4}$/.test(cleanCohort)) {
-      return sendError(res, 400, 'BAD_REQUEST', 'Cohort must be a 4-digit year (e.g., 2026)');
-    }
+    const { send_invite } = req.body || {};
 
-    const cleanTier = cleanStringOrNull(diploma_tier);
-    if (cleanTier && !ALLOWED_DIPLOMA_TIERS.has(cleanTier)) {
-      return sendError(res, 400, 'BAD_REQUEST', 'Diploma Tier must be one of: Targeted | Platinum | Diamond | Ivy');
+    const { payload: insertPayload, errors } = buildStudentInsert(req.body || {});
+    if (errors.length > 0) {
+      return sendError(res, 400, 'BAD_REQUEST', errors[0]);
     }
 
     const { data: existing, error: existingErr } = await supabase
       .from('diploma_students')
       .select('id,email')
-      .ilike('email', cleanEmail)
+      .ilike('email', insertPayload.email)
       .maybeSingle();
 
     if (existingErr) {
@@ -679,23 +1213,6 @@ app.post('/api/diploma/admin/students', authenticateJwt, requireAnyAdmin, async
       return sendError(res, 409, 'ALREADY_EXISTS', 'A student with this email already exists');
     }
 
-    const insertPayload = {
-      email: cleanEmail,
-      full_name: cleanName || null,
-      cohort: cleanCohort,
-      drive_binder_url: cleanStringOrNull(drive_binder_url),
-      drive_folder_url: cleanStringOrNull(drive_folder_url),
-      auth0_sub: cleanStringOrNull(auth0_sub),
-
-      diploma_tier: cleanTier,
-      parent_name: cleanStringOrNull(parent_name),
-      parent_mobile: cleanStringOrNull(parent_mobile),
-      parent_email: cleanLowerEmailOrNull(parent_email),
-      has_signed_agreement: cleanBoolNullable(has_signed_agreement),
-      signed_agreement_url: cleanStringOrNull(signed_agreement_url),
-      running_notes_url: cleanStringOrNull(running_notes_url),
-    };
-
     const { data, error } = await supabase
       .from('diploma_students')
       .insert(insertPayload)
@@ -707,47 +1224,27 @@ app.post('/api/diploma/admin/students', authenticateJwt, requireAnyAdmin, async
       return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to create student');
     }
 
+    await recordStudentHistory({
+      supabase,
+      studentId: data.id,
+      action: 'create',
+      changes: diffStudentFields({}, insertPayload),
+      actorId: req.staff?.user_id,
+      requestId: req.requestId,
+    });
+
+    // Tier templates flagged auto_apply seed the new student's tasks
+    const templates = await autoApplyTierTemplates({ supabase, student: data, requestId: req.requestId });
+
     const shouldSendInvite = send_invite === undefined ? true : !!send_invite;
 
     let invite = { requested: shouldSendInvite, ok: false, skipped: true };
 
     if (shouldSendInvite) {
-      try {
-        if (!process.env.RESEND_API_KEY || !process.env.RESEND_FROM) {
-          invite = {
-            requested: true,
-            ok: false,
-            skipped: true,
-            reason: 'Resend not configured (missing RESEND_API_KEY or RESEND_FROM)',
-          };
-        } else {
-          const firstName = (data?.full_name || '').trim().split(/\s+/)[0] || '';
-          const sendResult = await sendWelcomeToDiplomaPortal({ toEmail: data.email, firstName });
-
-          invite = { requested: true, ok: true, skipped: false, sendResult };
-
-          try {
-            await recordInviteStatus({ studentId: data.id, sendResult });
-          } catch (persistErr) {
-            console.error('Failed to persist invite status', {
-              requestId: req.requestId,
-              studentId: data?.id,
-              message: persistErr?.message,
-            });
-          }
-        }
-      } catch (e) {
-        console.error('Invite send failed (non-fatal)', {
-          requestId: req.requestId,
-          studentId: data?.id,
-          email: data?.email,
-          message: e?.message,
-        });
-        invite = { requested: true, ok: false, skipped: false, error: e?.message || 'Invite send failed' };
-      }
+      invite = await sendStudentInvite({ supabase, student: data, requestId: req.requestId });
     }
 
-    return res.status(201).json({ ...data, invite });
+    return res.status(201).json({ ...data, invite, templates });
   } catch (e) {
     console.error('Create student error', { requestId: req.requestId, message: e?.message });
     return sendError(res, 500, 'SERVER_ERROR', 'Server error');
@@ -776,6 +1273,7 @@ app.patch('/api/diploma/admin/students/:id', authenticateJwt, requireAnyAdmin, a
     has_signed_agreement,
     signed_agreement_url,
     running_notes_url,
+    reminders_opt_out,
   } = req.body || {};
 
   const update = {};
@@ -806,11 +1304,38 @@ app.patch('/api/diploma/admin/students/:id', authenticateJwt, requireAnyAdmin, a
 
   if (signed_agreement_url !== undefined) update.signed_agreement_url = cleanStringOrNull(signed_agreement_url);
   if (running_notes_url !== undefined) update.running_notes_url = cleanStringOrNull(running_notes_url);
+  if (reminders_opt_out !== undefined) update.reminders_opt_out = !!reminders_opt_out;
 
   if (Object.keys(update).length === 0) {
     return sendError(res, 400, 'BAD_REQUEST', 'No fields to update');
   }
 
+  const { data: before, error: beforeErr } = await supabase
+    .from('diploma_students')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (beforeErr) {
+    console.error('Error loading admin student before update', { requestId: req.requestId, error: beforeErr.message });
+    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load student');
+  }
+  if (!before) return sendError(res, 404, 'NOT_FOUND', 'Student not found');
+
+  // Email changes must go through POST /students/:id/change-email so the Auth0 link is handled explicitly
+  if (update.email !== undefined && update.email !== (before.email || '').toLowerCase()) {
+    return sendError(
+      res,
+      400,
+      'USE_EMAIL_CHANGE',
+      'Use POST /api/diploma/admin/students/:id/change-email to change a student email'
+    );
+  }
+  delete update.email;
+  if (Object.keys(update).length === 0) {
+    return res.json(before);
+  }
+
   const { data, error } = await supabase
     .from('diploma_students')
     .update(update)
@@ -823,6 +1348,15 @@ app.patch('/api/diploma/admin/students/:id', authenticateJwt, requireAnyAdmin, a
     return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to update student');
   }
 
+  await recordStudentHistory({
+    supabase,
+    studentId: id,
+    action: 'update',
+    changes: diffStudentFields(before, data, Object.keys(update)),
+    actorId: req.staff?.user_id,
+    requestId: req.requestId,
+  });
+
   return res.json(data);
 });
 
@@ -840,7 +1374,164 @@ app.get('/api/diploma/admin/students/:id', authenticateJwt, requireAnyAdmin, asy
     return sendError(res, 404, 'NOT_FOUND', 'Student not found');
   }
 
-  return res.json(data);
+  // Milestone progress is extra detail; the student record still loads without it
+  let milestoneProgress = null;
+  try {
+    milestoneProgress = await fetchStudentMilestoneProgress(supabase, data);
+  } catch (e) {
+    console.error('Error computing milestone progress', { requestId: req.requestId, message: e?.message });
+  }
+
+  return res.json({ ...data, milestone_progress: milestoneProgress });
+});
+
+// GET /api/diploma/admin/students/:id/history
+// Newest first; each entry carries { action, changes: { field: { old, new } }, changed_by, changed_by_email }.
+app.get('/api/diploma/admin/students/:id/history', authenticateJwt, requireAnyAdmin, async (req, res) => {
+  const id = req.params.id;
+
+  const { data: events, error } = await supabase
+    .from('diploma_student_history')
+    .select('*')
+    .eq('student_id', id)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    console.error('Error fetching student history', { requestId: req.requestId, error: error.message });
+    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch student history');
+  }
+
+  const actorIds = [...new Set((events || []).map((e) => e.changed_by).filter(Boolean))];
+  let emailById = new Map();
+
+  if (actorIds.length > 0) {
+    const { data: staffRows, error: staffErr } = await supabase
+      .from('staff')
+      .select('user_id, email')
+      .in('user_id', actorIds);
+
+    if (staffErr) {
+      console.error('Error resolving history actors', { requestId: req.requestId, error: staffErr.message });
+    } else {
+      emailById = new Map((staffRows || []).map((r) => [r.user_id, r.email]));
+    }
+  }
+
+  return res.json(
+    (events || []).map((e) => ({ ...e, changed_by_email: emailById.get(e.changed_by) || null }))
+  );
+});
+
+// POST /api/diploma/admin/students/:id/change-email
+// body: { new_email, auth0_link: 'keep' | 'clear', notify?: boolean (default true) }
+// auth0_link is required when the student is already linked:
+//   keep  -> same person, new address (their existing login keeps working)
+//   clear -> unlink so the login for the new address can link via /api/diploma/me/link-auth0
+app.post('/api/diploma/admin/students/:id/change-email', authenticateJwt, requireAnyAdmin, async (req, res) => {
+  try {
+    const id = req.params.id;
+    const newEmail = cleanLowerEmailOrNull(req.body?.new_email);
+    const auth0Link = req.body?.auth0_link;
+    const notify = req.body?.notify === undefined ? true : !!req.body.notify;
+
+    if (!newEmail || !newEmail.includes('@')) {
+      return sendError(res, 400, 'BAD_REQUEST', 'new_email must be a valid email address');
+    }
+    if (auth0Link !== undefined && !['keep', 'clear'].includes(auth0Link)) {
+      return sendError(res, 400, 'BAD_REQUEST', 'auth0_link must be one of: keep | clear');
+    }
+
+    const { data: student, error: findErr } = await supabase
+      .from('diploma_students')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (findErr) {
+      console.error('Error loading student for email change', { requestId: req.requestId, error: findErr.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load student');
+    }
+    if (!student) return sendError(res, 404, 'NOT_FOUND', 'Student not found');
+
+    const oldEmail = (student.email || '').toLowerCase();
+    if (newEmail === oldEmail) {
+      return sendError(res, 400, 'BAD_REQUEST', 'new_email is the same as the current email');
+    }
+
+    if (student.auth0_sub && !auth0Link) {
+      return sendError(
+        res,
+        400,
+        'AUTH0_LINK_DECISION_REQUIRED',
+        'Student is linked to an Auth0 login; send auth0_link: keep | clear'
+      );
+    }
+
+    const { data: collision, error: collErr } = await supabase
+      .from('diploma_students')
+      .select('id')
+      .ilike('email', newEmail)
+      .neq('id', id)
+      .limit(1);
+
+    if (collErr) {
+      console.error('Error checking email collision', { requestId: req.requestId, error: collErr.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to check existing student');
+    }
+    if (collision?.length) {
+      return sendError(res, 409, 'ALREADY_EXISTS', 'Another student already uses this email', {
+        studentId: collision[0].id,
+      });
+    }
+
+    // Links already emailed to the old address must stop working
+    try {
+      await revokeOlderInviteClaims({ supabase, studentId: id });
+    } catch (revokeErr) {
+      console.error('Error revoking invite claims for email change', {
+        requestId: req.requestId,
+        message: revokeErr?.message,
+      });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to revoke open invite links');
+    }
+
+    const update = { email: newEmail };
+    if (auth0Link === 'clear') update.auth0_sub = null;
+
+    const { data, error } = await supabase
+      .from('diploma_students')
+      .update(update)
+      .eq('id', id)
+      .select('*')
+      .single();
+
+    if (error) {
+      console.error('Error changing student email', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to change student email');
+    }
+
+    await recordStudentHistory({
+      supabase,
+      studentId: id,
+      action: 'email_change',
+      changes: diffStudentFields(student, data, ['email', 'auth0_sub']),
+      actorId: req.staff?.user_id,
+      requestId: req.requestId,
+      note: student.auth0_sub ? `auth0_link: ${auth0Link}` : null,
+    });
+
+    let notice = { requested: notify, skipped: true };
+    if (notify) {
+      notice = isResendConfigured()
+        ? { requested: true, skipped: false, ...(await sendEmailChangeNotice({ oldEmail, newEmail, firstName: firstNameOf(data.full_name) })) }
+        : { requested: true, skipped: true, reason: 'Resend not configured (missing RESEND_API_KEY or RESEND_FROM)' };
+    }
+
+    return res.json({ ...data, notice });
+  } catch (e) {
+    console.error('change-email error', { requestId: req.requestId, message: e?.message });
+    return sendError(res, 500, 'SERVER_ERROR', 'Email change failed');
+  }
 });
 
 app.post('/api/diploma/admin/students/:id/send-invite', authenticateJwt, requireAnyAdmin, async (req, res) => {
@@ -856,15 +1547,22 @@ app.post('/api/diploma/admin/students/:id/send-invite', authenticateJwt, require
     if (error || !student) return sendError(res, 404, 'NOT_FOUND', 'Student not found');
     if (!student.email) return sendError(res, 400, 'BAD_REQUEST', 'Student has no email');
 
-    if (!process.env.RESEND_API_KEY || !process.env.RESEND_FROM) {
+    if (!isResendConfigured()) {
       return sendError(res, 400, 'BAD_REQUEST', 'Resend not configured (missing RESEND_API_KEY or RESEND_FROM)');
     }
 
-    const firstName = (student.full_name || '').trim().split(/\s+/)[0] || '';
-    const sendResult = await sendWelcomeToDiplomaPortal({ toEmail: student.email, firstName });
+    const claim = await issueInviteClaimSafe({ supabase, studentId: student.id, requestId: req.requestId });
+    const sendResult = await sendWelcomeToDiplomaPortal({
+      toEmail: student.email,
+      firstName: firstNameOf(student.full_name),
+      claimUrl: claim?.claim_url,
+      claimExpiresAt: claim?.expires_at,
+    });
+
+    await revokeOlderInviteClaimsSafe({ supabase, studentId: student.id, claim, requestId: req.requestId });
 
     try {
-      await recordInviteStatus({ studentId: student.id, sendResult });
+      await recordInviteStatus({ supabase, studentId: student.id, sendResult });
     } catch (e) {
       console.error('Failed to persist invite status', {
         requestId: req.requestId,
@@ -878,6 +1576,7 @@ app.post('/api/diploma/admin/students/:id/send-invite', authenticateJwt, require
       sendResult,
       invited_at: new Date().toISOString(),
       last_invite_message_id: sendResult?.id ? String(sendResult.id) : null,
+      claim_expires_at: claim?.expires_at || null,
     });
   } catch (e) {
     console.error('send-invite error', { requestId: req.requestId, message: e?.message });
@@ -886,118 +1585,156 @@ app.post('/api/diploma/admin/students/:id/send-invite', authenticateJwt, require
 });
 
 // --------------------------------------------------
-//  ADMIN – PER-STUDENT ITEMS
+//  ADMIN – ARCHIVE / RESTORE STUDENT
 // --------------------------------------------------
 
-app.get('/api/diploma/admin/students/:studentId/items', authenticateJwt, requireAnyAdmin, async (req, res) => {
-  const studentId = req.params.studentId;
-  if (!studentId) return sendError(res, 400, 'BAD_REQUEST', 'Student id is required');
+app.post('/api/diploma/admin/students/:id/archive', authenticateJwt, requireAnyAdmin, async (req, res) => {
+  const id = req.params.id;
+
+  const { data: student, error: findErr } = await supabase
+    .from('diploma_students')
+    .select('id, archived_at')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (findErr) {
+    console.error('Error loading student for archive', { requestId: req.requestId, error: findErr.message });
+    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load student');
+  }
+  if (!student) return sendError(res, 404, 'NOT_FOUND', 'Student not found');
+  if (student.archived_at) return sendError(res, 409, 'ALREADY_ARCHIVED', 'Student is already archived');
+
+  try {
+    await revokeOlderInviteClaims({ supabase, studentId: id });
+  } catch (revokeErr) {
+    console.error('Error revoking invite claims for archive', { requestId: req.requestId, message: revokeErr?.message });
+    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to revoke open invite links');
+  }
 
   const { data, error } = await supabase
-    .from('diploma_student_items')
+    .from('diploma_students')
+    .update({
+      archived_at: new Date().toISOString(),
+      archived_by: req.staff?.user_id || null,
+      archive_reason: cleanStringOrNull(req.body?.reason),
+    })
+    .eq('id', id)
     .select('*')
-    .eq('student_id', studentId)
-    .order('due_date', { ascending: true, nullsLast: true })
-    .order('created_at', { ascending: false });
+    .single();
 
   if (error) {
-    console.error('Error fetching admin student items', { requestId: req.requestId, error: error.message });
-    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch student items');
+    console.error('Error archiving student', { requestId: req.requestId, error: error.message });
+    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to archive student');
   }
 
-  return res.json(data || []);
-});
+  await recordStudentHistory({
+    supabase,
+    studentId: id,
+    action: 'archive',
+    changes: diffStudentFields(student, data, ['archived_at']),
+    actorId: req.staff?.user_id,
+    requestId: req.requestId,
+    note: data.archive_reason,
+  });
 
-app.post('/api/diploma/admin/students/:studentId/items', authenticateJwt, requireAnyAdmin, async (req, res) => {
-  const studentId = req.params.studentId;
-  if (!studentId) return sendError(res, 400, 'BAD_REQUEST', 'Student id is required');
+  return res.json(data);
+});
 
-  const { item_type, title, body, drive_link_url, due_date, visible_to_student } = req.body || {};
-  const allowedTypes = ['task', 'note', 'resource'];
+app.post('/api/diploma/admin/students/:id/restore', authenticateJwt, requireAnyAdmin, async (req, res) => {
+  const id = req.params.id;
 
-  if (!allowedTypes.includes(item_type)) {
-    return sendError(res, 400, 'BAD_REQUEST', 'item_type must be one of: task | note | resource');
-  }
+  const { data: student, error: findErr } = await supabase
+    .from('diploma_students')
+    .select('id, archived_at')
+    .eq('id', id)
+    .maybeSingle();
 
-  if (!title || typeof title !== 'string' || !title.trim()) {
-    return sendError(res, 400, 'BAD_REQUEST', 'Title is required');
+  if (findErr) {
+    console.error('Error loading student for restore', { requestId: req.requestId, error: findErr.message });
+    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load student');
   }
-
-  const insertPayload = {
-    student_id: studentId,
-    item_type,
-    title: title.trim(),
-    body: body && typeof body === 'string' ? body.trim() : null,
-    drive_link_url: drive_link_url && typeof drive_link_url === 'string' ? drive_link_url.trim() : null,
-    due_date: due_date || null,
-    visible_to_student: !!visible_to_student,
-    created_by_admin: true,
-  };
+  if (!student) return sendError(res, 404, 'NOT_FOUND', 'Student not found');
+  if (!student.archived_at) return sendError(res, 409, 'NOT_ARCHIVED', 'Student is not archived');
 
   const { data, error } = await supabase
-    .from('diploma_student_items')
-    .insert(insertPayload)
+    .from('diploma_students')
+    .update({ archived_at: null, archived_by: null, archive_reason: null })
+    .eq('id', id)
     .select('*')
     .single();
 
   if (error) {
-    console.error('Error creating admin student item', { requestId: req.requestId, error: error.message });
-    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to create student item');
+    console.error('Error restoring student', { requestId: req.requestId, error: error.message });
+    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to restore student');
   }
 
-  return res.status(201).json(data);
+  await recordStudentHistory({
+    supabase,
+    studentId: id,
+    action: 'restore',
+    changes: diffStudentFields(student, data, ['archived_at']),
+    actorId: req.staff?.user_id,
+    requestId: req.requestId,
+  });
+
+  return res.json(data);
 });
 
 // --------------------------------------------------
-//  ADMIN – ANNOUNCEMENTS
+//  ADMIN – PER-STUDENT ITEMS
 // --------------------------------------------------
 
-app.get('/api/diploma/admin/announcements', authenticateJwt, requireAnyAdmin, async (req, res) => {
+app.get('/api/diploma/admin/students/:studentId/items', authenticateJwt, requireAnyAdmin, async (req, res) => {
+  const studentId = req.params.studentId;
+  if (!studentId) return sendError(res, 400, 'BAD_REQUEST', 'Student id is required');
+
   const { data, error } = await supabase
-    .from('diploma_announcements')
-    .select('*')
+    .from('diploma_student_items')
+    .select(ITEM_WITH_EVENTS_SELECT)
+    .eq('student_id', studentId)
+    .order('due_date', { ascending: true, nullsLast: true })
     .order('created_at', { ascending: false });
 
   if (error) {
-    console.error('Error fetching admin announcements', { requestId: req.requestId, error: error.message });
-    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch announcements');
+    console.error('Error fetching admin student items', { requestId: req.requestId, error: error.message });
+    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch student items');
   }
 
-  return res.json(data || []);
+  return res.json((data || []).map(sortStatusEvents));
 });
 
-app.post('/api/diploma/admin/announcements', authenticateJwt, requireAnyAdmin, async (req, res) => {
-  const { title, body, drive_link_url, audience, starts_at, ends_at } = req.body || {};
+app.post('/api/diploma/admin/students/:studentId/items', authenticateJwt, requireAnyAdmin, async (req, res) => {
+  const studentId = req.params.studentId;
+  if (!studentId) return sendError(res, 400, 'BAD_REQUEST', 'Student id is required');
 
-  if (!title) {
-    return sendError(res, 400, 'BAD_REQUEST', 'Title is required');
-  }
+  const { payload, error: validationError } = buildItemInsert(req.body || {});
+  if (validationError) return sendError(res, 400, 'BAD_REQUEST', validationError);
 
-  const nowIso = new Date().toISOString();
-
-  const insert = {
-    title: title.trim(),
-    body: body?.trim() || '',
-    drive_link_url: drive_link_url?.trim() || null,
-    audience: audience || 'all_diploma',
-    starts_at: starts_at || nowIso,
-    ends_at: ends_at || null,
-  };
+  const insertPayload = { student_id: studentId, ...payload };
 
   const { data, error } = await supabase
-    .from('diploma_announcements')
-    .insert(insert)
+    .from('diploma_student_items')
+    .insert(insertPayload)
     .select('*')
     .single();
 
   if (error) {
-    console.error('Error creating admin announcement', { requestId: req.requestId, error: error.message });
-    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to create announcement');
+    console.error('Error creating admin student item', { requestId: req.requestId, error: error.message });
+    return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to create student item');
   }
 
   return res.status(201).json(data);
 });
 
+// --------------------------------------------------
+//  ADMIN – ANNOUNCEMENTS
+// --------------------------------------------------
+
+app.use(
+  '/api/diploma/admin',
+  createDiplomaAdminAnnouncementsRouter({ supabase, sendError, requireAdmin: requireDiplomaAdmin })
+);
+
 // --------------------------------------------------
 //  OBSERVABILITY
 // --------------------------------------------------
@@ -1042,3 +1779,15 @@ const port = process.env.PORT || 4000;
 app.listen(port, () => {
   console.log(`Diploma API listening on port ${port}`);
 });
+
+// Due-date reminder emails (jobs/dueReminders.js); opt-in so local/dev servers never email students
+if (process.env.DIPLOMA_REMINDERS_ENABLED === 'true') {
+  startDueReminderScheduler({ supabase });
+  console.log('Due reminder scheduler started');
+}
+
+// Weekly staff digest (jobs/staffDigest.js); same opt-in rule
+if (process.env.DIPLOMA_DIGEST_ENABLED === 'true') {
+  startStaffDigestScheduler({ supabase });
+  console.log('Staff digest scheduler started');
+}
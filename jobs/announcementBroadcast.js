@@ -0,0 +1,284 @@
+// jobs/announcementBroadcast.js
+// Email broadcast of an announcement to its resolved audience.
+//
+// queueAnnouncementBroadcast() writes one diploma_announcement_deliveries row per recipient
+// (status 'queued', unique per announcement + email so a shared parent address gets one copy) and
+// marks the announcement email_status = 'sending'. processAnnouncementBroadcast() then drains the
+// queue through the Resend batch endpoint: DIPLOMA_BROADCAST_BATCH_SIZE messages per call
+// (default 50, max 100) with DIPLOMA_BROADCAST_BATCH_DELAY_MS between calls (default 1000) to stay
+// under the Resend rate limit. Each row ends as 'sent' (with message_id) or 'failed' (with error).
+//
+// Every batch carries an idempotency key derived from its delivery ids. A rate-limited batch (429) waits
+// (Retry-After, else exponential backoff) and is retried as is, up to RATE_LIMIT_RETRIES times. A batch
+// Resend rejected outright (other 4xx) is re-sent one message at a time for per-recipient results. When
+// the outcome is unknown (timeout, network error, 5xx) the same batch is retried once under the same key,
+// so an accepted batch is not sent twice; if that also fails its rows end as 'unknown' and are never
+// re-sent automatically.
+//
+// Processing runs in the background of the request that queued it. Rows left 'queued' by a restart
+// are picked up again by POST /admin/announcements/:id/email { retry: true }, which also re-queues failures.
+const { createHash } = require('crypto');
+const { sendDiplomaEmail, sendDiplomaEmailBatch } = require('../email/emailHelpers');
+const { buildAnnouncementEmail } = require('../email/sendAnnouncementEmail');
+const { resolveAnnouncementAudience } = require('../utils/diplomaAnnouncements');
+const { firstNameOf } = require('../utils/diplomaUtils');
+
+const INSERT_CHUNK = 500;
+
+// Pace for the one-by-one fallback (Resend's default limit is 2 requests/second)
+const SINGLE_SEND_DELAY_MS = 600;
+
+const RATE_LIMIT_RETRIES = 5;
+const RATE_LIMIT_MAX_WAIT_MS = 60 * 1000;
+
+// Announcement ids currently being drained by this process
+const inFlight = new Set();
+
+function batchConfig() {
+  const size = parseInt(process.env.DIPLOMA_BROADCAST_BATCH_SIZE || '50', 10);
+  const delay = parseInt(process.env.DIPLOMA_BROADCAST_BATCH_DELAY_MS || '1000', 10);
+  return {
+    size: Number.isInteger(size) && size > 0 ? Math.min(size, 100) : 50,
+    delayMs: Number.isInteger(delay) && delay >= 0 ? delay : 1000,
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function batchIdempotencyKey(announcementId, deliveries) {
+  const digest = createHash('sha256')
+    .update(deliveries.map((d) => d.id).join(','))
+    .digest('hex')
+    .slice(0, 32);
+  return `announcement-${announcementId}-${digest}`;
+}
+
+// Too many requests: nothing was sent and the same batch can go again shortly. Quota errors are also 429
+// but won't clear by waiting, so they count as rejections.
+function isRateLimited(e) {
+  return e?.statusCode === 429 && e.code !== 'daily_quota_exceeded' && e.code !== 'monthly_quota_exceeded';
+}
+
+// Resend answered and refused the batch, so none of it was sent (408 is a timeout: outcome unknown)
+function isBatchRejected(e) {
+  return Number.isInteger(e?.statusCode) && e.statusCode >= 400 && e.statusCode < 500 && e.statusCode !== 408;
+}
+
+async function sendIndividually(messages) {
+  const results = [];
+  for (const message of messages) {
+    try {
+      const sent = await sendDiplomaEmail(message);
+      results.push({ ok: true, messageId: sent?.id || null });
+    } catch (err) {
+      results.push({ ok: false, error: err?.message || 'Send failed' });
+    }
+    await sleep(SINGLE_SEND_DELAY_MS);
+  }
+  return results;
+}
+
+// Per-delivery results for one batch: { ok, messageId } | { ok: false, error } | { unknown: true, error }
+async function sendBatch({ announcementId, batch, messages, delayMs, requestId }) {
+  const idempotencyKey = batchIdempotencyKey(announcementId, batch);
+  const unknownResults = (e) =>
+    batch.map(() => ({ ok: false, unknown: true, error: e?.message || 'Batch outcome unknown' }));
+  let attempt = 0;
+  let rateLimited = 0;
+
+  for (;;) {
+    try {
+      const ids = await sendDiplomaEmailBatch(messages, { idempotencyKey });
+      return batch.map((d, i) => ({ ok: true, messageId: ids[i] || null }));
+    } catch (e) {
+      if (isRateLimited(e) && rateLimited < RATE_LIMIT_RETRIES) {
+        rateLimited++;
+        const waitMs = Math.min(
+          e.retryAfterMs ?? Math.max(delayMs, SINGLE_SEND_DELAY_MS) * 2 ** (rateLimited - 1),
+          RATE_LIMIT_MAX_WAIT_MS
+        );
+        console.error('Announcement batch rate limited, retrying', { requestId, announcementId, rateLimited, waitMs });
+        await sleep(waitMs);
+        continue;
+      }
+
+      // After an unknown outcome a refusal doesn't prove the first try was not sent
+      if (attempt > 0 && isBatchRejected(e)) return unknownResults(e);
+
+      if (isRateLimited(e)) {
+        return batch.map(() => ({ ok: false, error: e?.message || 'Rate limited' }));
+      }
+
+      if (isBatchRejected(e)) {
+        // Resend rejects a batch as a whole (e.g. one invalid address), so retry its messages one by one
+        // to get a per-recipient result
+        console.error('Announcement batch rejected, sending individually', {
+          requestId,
+          announcementId,
+          message: e?.message,
+        });
+        return sendIndividually(messages);
+      }
+
+      attempt++;
+      console.error('Announcement batch outcome unknown', {
+        requestId,
+        announcementId,
+        attempt,
+        message: e?.message,
+      });
+      if (attempt >= 2) return unknownResults(e);
+      await sleep(Math.max(delayMs, SINGLE_SEND_DELAY_MS));
+    }
+  }
+}
+
+async function setBroadcastStatus(supabase, announcementId, patch) {
+  const { error } = await supabase.from('diploma_announcements').update(patch).eq('id', announcementId);
+  if (error) console.error('Failed to update announcement email status', { announcementId, message: error.message });
+}
+
+// Returns { queued } — the number of new (deduplicated) recipients written to the queue.
+async function queueAnnouncementBroadcast({ supabase, announcement, requestedBy }) {
+  const { recipients } = await resolveAnnouncementAudience(supabase, announcement);
+
+  const byEmail = new Map();
+  recipients.forEach((r) => {
+    const email = String(r.email || '').trim().toLowerCase();
+    if (email && !byEmail.has(email)) byEmail.set(email, { ...r, email });
+  });
+
+  const rows = [...byEmail.values()].map((r) => ({
+    announcement_id: announcement.id,
+    student_id: r.student_id,
+    recipient_type: r.type,
+    email: r.email,
+    greeting_name: firstNameOf(r.name) || null,
+    status: 'queued',
+  }));
+
+  // Recipients already queued or sent for this announcement are skipped; only new rows come back
+  let queued = 0;
+  for (let i = 0; i < rows.length; i += INSERT_CHUNK) {
+    const { data, error } = await supabase
+      .from('diploma_announcement_deliveries')
+      .upsert(rows.slice(i, i + INSERT_CHUNK), { onConflict: 'announcement_id,email', ignoreDuplicates: true })
+      .select('id');
+    if (error) throw new Error(error.message);
+    queued += (data || []).length;
+  }
+
+  await setBroadcastStatus(supabase, announcement.id, {
+    email_status: rows.length ? 'sending' : 'sent',
+    email_requested_at: new Date().toISOString(),
+    email_requested_by: requestedBy || null,
+    email_completed_at: rows.length ? null : new Date().toISOString(),
+  });
+
+  return { queued };
+}
+
+// Sends every queued delivery for the announcement; returns { sent, failed, unknown } for this run.
+async function processAnnouncementBroadcast({ supabase, announcement, requestId }) {
+  if (inFlight.has(announcement.id)) return { sent: 0, failed: 0, unknown: 0, skipped: true };
+  inFlight.add(announcement.id);
+
+  const { size, delayMs } = batchConfig();
+  const totals = { sent: 0, failed: 0, unknown: 0 };
+
+  try {
+    for (let first = true; ; first = false) {
+      const { data: batch, error } = await supabase
+        .from('diploma_announcement_deliveries')
+        .select('id, email, greeting_name')
+        .eq('announcement_id', announcement.id)
+        .eq('status', 'queued')
+        .order('id', { ascending: true })
+        .limit(size);
+
+      if (error) throw new Error(error.message);
+      if (!batch || batch.length === 0) break;
+
+      if (!first && delayMs > 0) await sleep(delayMs);
+
+      const messages = batch.map((d) =>
+        buildAnnouncementEmail({ announcement, toEmail: d.email, greetingName: d.greeting_name })
+      );
+
+      const results = await sendBatch({ announcementId: announcement.id, batch, messages, delayMs, requestId });
+
+      const nowIso = new Date().toISOString();
+      for (let i = 0; i < batch.length; i++) {
+        const r = results[i];
+        let patch = { status: r.unknown ? 'unknown' : 'failed', error: r.error, attempted_at: nowIso };
+        if (r.ok) {
+          patch = {
+            status: 'sent',
+            message_id: r.messageId ? String(r.messageId) : null,
+            error: null,
+            sent_at: nowIso,
+            attempted_at: nowIso,
+          };
+        }
+
+        const { error: updErr } = await supabase.from('diploma_announcement_deliveries').update(patch).eq('id', batch[i].id);
+        // Abort rather than leave a sent row 'queued' (it would be emailed again)
+        if (updErr) throw new Error(`Failed to record delivery ${batch[i].id}: ${updErr.message}`);
+
+        if (r.ok) totals.sent++;
+        else if (r.unknown) totals.unknown++;
+        else totals.failed++;
+      }
+    }
+
+    await finalizeBroadcast(supabase, announcement.id);
+    return totals;
+  } catch (e) {
+    console.error('Announcement broadcast aborted', { requestId, announcementId: announcement.id, message: e?.message });
+    await setBroadcastStatus(supabase, announcement.id, { email_status: 'failed' });
+    throw e;
+  } finally {
+    inFlight.delete(announcement.id);
+  }
+}
+
+// email_status: 'sent' (all delivered to Resend), 'partial' (some failed or unknown) or 'failed' (none sent)
+async function finalizeBroadcast(supabase, announcementId) {
+  const summary = await summarizeDeliveries(supabase, announcementId);
+  if (summary.queued > 0) return;
+
+  let status = 'sent';
+  if (summary.failed > 0 || summary.unknown > 0) status = summary.sent > 0 ? 'partial' : 'failed';
+
+  await setBroadcastStatus(supabase, announcementId, { email_status: status, email_completed_at: new Date().toISOString() });
+}
+
+async function summarizeDeliveries(supabase, announcementId) {
+  const counts = { total: 0, queued: 0, sent: 0, failed: 0, unknown: 0 };
+
+  for (const status of ['queued', 'sent', 'failed', 'unknown']) {
+    const { count, error } = await supabase
+      .from('diploma_announcement_deliveries')
+      .select('id', { count: 'exact', head: true })
+      .eq('announcement_id', announcementId)
+      .eq('status', status);
+    if (error) throw new Error(error.message);
+    counts[status] = count || 0;
+    counts.total += count || 0;
+  }
+
+  return counts;
+}
+
+function isBroadcastInFlight(announcementId) {
+  return inFlight.has(announcementId);
+}
+
+module.exports = {
+  queueAnnouncementBroadcast,
+  processAnnouncementBroadcast,
+  summarizeDeliveries,
+  isBroadcastInFlight,
+};
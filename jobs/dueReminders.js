@@ -0,0 +1,283 @@
+// jobs/dueReminders.js
+// Due-date reminder emails for visible, unfinished student tasks.
+//
+// Each run looks for tasks due in N days (DIPLOMA_REMINDER_DAYS_BEFORE, default "3"; comma list allowed)
+// and tasks that went overdue in the last DIPLOMA_REMINDER_OVERDUE_WINDOW_DAYS days (default 2), then
+// sends one email per recipient (student, plus parent_email when DIPLOMA_REMINDERS_INCLUDE_PARENTS=true).
+//
+// De-duplication: every (item, kind, recipient_type) is claimed in diploma_reminder_log before sending.
+// The table's unique index makes the claim fail for anything already sent, so runs are idempotent
+// and safe with more than one API instance. A 'failed' row, or one still 'pending' after
+// PENDING_TIMEOUT_MS (the run died mid-send), is re-claimed by a later run, up to
+// DIPLOMA_REMINDER_MAX_ATTEMPTS sends (default 3). Students with reminders_opt_out = true are skipped.
+const { sendDueReminderEmail } = require('../email/sendDueReminderEmail');
+const { firstNameOf, isResendConfigured } = require('../utils/diplomaUtils');
+
+const OPEN_STATUSES = ['open', 'needs_revision'];
+const UNIQUE_VIOLATION = '23505';
+const PENDING_TIMEOUT_MS = 30 * 60 * 1000;
+
+function maxAttempts() {
+  return Math.max(1, parseInt(process.env.DIPLOMA_REMINDER_MAX_ATTEMPTS || '3', 10) || 3);
+}
+
+function isRetryable(row) {
+  if ((row.attempts || 1) >= maxAttempts()) return false;
+  if (row.status === 'failed') return true;
+  const claimedAt = new Date(row.claimed_at || row.created_at).getTime();
+  return row.status === 'pending' && Date.now() - claimedAt > PENDING_TIMEOUT_MS;
+}
+
+function isoDate(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  const d = new Date(date.getTime());
+  d.setUTCDate(d.getUTCDate() + days);
+  return d;
+}
+
+function readConfig() {
+  const daysBefore = String(process.env.DIPLOMA_REMINDER_DAYS_BEFORE || '3')
+    .split(',')
+    .map((s) => parseInt(s.trim(), 10))
+    .filter((n) => Number.isInteger(n) && n > 0);
+
+  const overdueWindow = Math.max(1, parseInt(process.env.DIPLOMA_REMINDER_OVERDUE_WINDOW_DAYS || '2', 10) || 2);
+
+  return {
+    daysBefore: daysBefore.length ? [...new Set(daysBefore)] : [3],
+    overdueWindow,
+    includeParents: process.env.DIPLOMA_REMINDERS_INCLUDE_PARENTS === 'true',
+  };
+}
+
+// date string -> reminder kind ('due_in_3d' | 'overdue')
+function kindByDate(now, config) {
+  const map = new Map();
+  config.daysBefore.forEach((n) => map.set(isoDate(addDays(now, n)), `due_in_${n}d`));
+  for (let n = 1; n <= config.overdueWindow; n++) map.set(isoDate(addDays(now, -n)), 'overdue');
+  return map;
+}
+
+async function loadCandidates(supabase, dates) {
+  const { data, error } = await supabase
+    .from('diploma_student_items')
+    .select(
+      'id, title, due_date, status, student_id, ' +
+        'student:diploma_students(id, full_name, email, parent_name, parent_email, archived_at, reminders_opt_out)'
+    )
+    .eq('item_type', 'task')
+    .eq('visible_to_student', true)
+    .in('status', OPEN_STATUSES)
+    .in('due_date', dates);
+
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+async function loadAlreadyLogged(supabase, itemIds) {
+  if (itemIds.length === 0) return new Set();
+
+  const { data, error } = await supabase
+    .from('diploma_reminder_log')
+    .select('item_id, kind, recipient_type, status, attempts, claimed_at, created_at')
+    .in('item_id', itemIds);
+
+  if (error) throw new Error(error.message);
+  return new Set(
+    (data || []).filter((r) => !isRetryable(r)).map((r) => `${r.item_id}|${r.kind}|${r.recipient_type}`)
+  );
+}
+
+// Flip a failed (or stale pending) row back to a fresh pending claim; null when it's not retryable or
+// another run got there first.
+async function reclaimReminder(supabase, reminder, recipient) {
+  const { data: row, error } = await supabase
+    .from('diploma_reminder_log')
+    .select('id, status, attempts, claimed_at, created_at')
+    .eq('item_id', reminder.item_id)
+    .eq('kind', reminder.kind)
+    .eq('recipient_type', recipient.type)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  if (!row || !isRetryable(row)) return null;
+
+  // Conditional on the status and attempt count we read, so concurrent runs can't both re-claim it
+  let query = supabase
+    .from('diploma_reminder_log')
+    .update({
+      status: 'pending',
+      attempts: (row.attempts || 1) + 1,
+      claimed_at: new Date().toISOString(),
+      error: null,
+      recipient_email: recipient.email,
+    })
+    .eq('id', row.id)
+    .eq('status', row.status);
+  if (row.attempts === null || row.attempts === undefined) query = query.is('attempts', null);
+  else query = query.eq('attempts', row.attempts);
+
+  const { data: updated, error: updErr } = await query.select('id');
+  if (updErr) throw new Error(updErr.message);
+  return updated?.length ? row.id : null;
+}
+
+// Insert the pending log row (or re-claim a retryable one); null when another run already claimed/sent it.
+async function claimReminder(supabase, reminder, recipient) {
+  const { data, error } = await supabase
+    .from('diploma_reminder_log')
+    .insert({
+      item_id: reminder.item_id,
+      student_id: recipient.student.id,
+      kind: reminder.kind,
+      due_date: reminder.due_date,
+      recipient_type: recipient.type,
+      recipient_email: recipient.email,
+      status: 'pending',
+      attempts: 1,
+      claimed_at: new Date().toISOString(),
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    if (error.code === UNIQUE_VIOLATION) return reclaimReminder(supabase, reminder, recipient);
+    throw new Error(error.message);
+  }
+  return data.id;
+}
+
+async function finishClaims(supabase, logIds, patch) {
+  if (logIds.length === 0) return;
+  const { error } = await supabase.from('diploma_reminder_log').update(patch).in('id', logIds);
+  if (error) console.error('Failed to update reminder log', { logIds, message: error.message });
+}
+
+// Returns a summary; with dryRun nothing is claimed or sent and `plan` lists what would go out.
+async function runDueReminders({ supabase, now = new Date(), dryRun = false, requestId } = {}) {
+  const config = readConfig();
+  const kinds = kindByDate(now, config);
+
+  const summary = {
+    dry_run: !!dryRun,
+    run_at: now.toISOString(),
+    candidates: 0,
+    skipped_opt_out: 0,
+    skipped_duplicate: 0,
+    emails_sent: 0,
+    emails_failed: 0,
+  };
+
+  const items = await loadCandidates(supabase, [...kinds.keys()]);
+  summary.candidates = items.length;
+
+  // Group reminders per recipient so a student gets one email per run
+  const recipients = new Map();
+  const addRecipient = (type, email, student, greetingName, reminder) => {
+    const key = `${type}|${student.id}`;
+    if (!recipients.has(key)) recipients.set(key, { type, email, student, greetingName, reminders: [] });
+    recipients.get(key).reminders.push(reminder);
+  };
+
+  items.forEach((item) => {
+    const student = item.student;
+    if (!student || student.archived_at) return;
+    if (student.reminders_opt_out) {
+      summary.skipped_opt_out++;
+      return;
+    }
+
+    const reminder = { item_id: item.id, title: item.title, due_date: item.due_date, kind: kinds.get(item.due_date) };
+
+    if (student.email) addRecipient('student', student.email, student, firstNameOf(student.full_name), reminder);
+    if (config.includeParents && student.parent_email) {
+      addRecipient('parent', student.parent_email, student, firstNameOf(student.parent_name), reminder);
+    }
+  });
+
+  if (dryRun) {
+    const logged = await loadAlreadyLogged(supabase, items.map((i) => i.id));
+    summary.plan = [];
+
+    recipients.forEach((r) => {
+      const pending = r.reminders.filter((rem) => !logged.has(`${rem.item_id}|${rem.kind}|${r.type}`));
+      summary.skipped_duplicate += r.reminders.length - pending.length;
+      if (pending.length) {
+        summary.plan.push({ recipient_type: r.type, email: r.email, student_id: r.student.id, reminders: pending });
+      }
+    });
+    return summary;
+  }
+
+  if (!isResendConfigured()) {
+    throw new Error('Resend not configured (missing RESEND_API_KEY or RESEND_FROM)');
+  }
+
+  for (const r of recipients.values()) {
+    const claimed = [];
+    for (const reminder of r.reminders) {
+      const logId = await claimReminder(supabase, reminder, r);
+      if (logId) claimed.push({ logId, reminder });
+      else summary.skipped_duplicate++;
+    }
+    if (claimed.length === 0) continue;
+
+    const logIds = claimed.map((c) => c.logId);
+    try {
+      const sent = await sendDueReminderEmail({
+        toEmail: r.email,
+        greetingName: r.greetingName,
+        studentName: r.student.full_name,
+        isParent: r.type === 'parent',
+        reminders: claimed.map((c) => c.reminder),
+      });
+      await finishClaims(supabase, logIds, {
+        status: 'sent',
+        sent_at: new Date().toISOString(),
+        message_id: sent?.id ? String(sent.id) : null,
+      });
+      summary.emails_sent++;
+    } catch (e) {
+      console.error('Due reminder send failed', { requestId, email: r.email, message: e?.message });
+      await finishClaims(supabase, logIds, { status: 'failed', error: e?.message || 'Send failed' });
+      summary.emails_failed++;
+    }
+  }
+
+  return summary;
+}
+
+// In-process scheduler (opt-in with DIPLOMA_REMINDERS_ENABLED=true). Runs shortly after boot and then
+// every DIPLOMA_REMINDERS_INTERVAL_MINUTES (default 60); overlapping runs are skipped.
+function startDueReminderScheduler({ supabase }) {
+  const minutes = Math.max(5, parseInt(process.env.DIPLOMA_REMINDERS_INTERVAL_MINUTES || '60', 10) || 60);
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await runDueReminders({ supabase });
+      console.log('Due reminders run', summary);
+    } catch (e) {
+      console.error('Due reminders run failed', { message: e?.message });
+    } finally {
+      running = false;
+    }
+  };
+
+  const first = setTimeout(tick, 30_000);
+  const timer = setInterval(tick, minutes * 60_000);
+  first.unref();
+  timer.unref();
+
+  return () => {
+    clearTimeout(first);
+    clearInterval(timer);
+  };
+}
+
+module.exports = { runDueReminders, startDueReminderScheduler };
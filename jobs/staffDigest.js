@@ -0,0 +1,202 @@
+// jobs/staffDigest.js
+// Weekly staff digest: students with overdue items, students inactive for more than
+// DIPLOMA_DIGEST_INACTIVE_DAYS (default 14) and students who never linked their login (auth0_sub null).
+//
+// Built from the same data as the admin list (diploma_students + admin_student_rollup), archived
+// students excluded. Sent to every active staff member with an email.
+//
+// Scheduling: the in-process scheduler checks hourly and sends once the configured weekday/hour
+// (DIPLOMA_DIGEST_WEEKDAY 0-6, default 1 = Monday; DIPLOMA_DIGEST_HOUR_UTC, default 13) has passed.
+// Each week is claimed in diploma_staff_digest_runs (unique week_start) so only one instance sends it.
+// A later tick takes the week over when its run 'failed', or is still 'pending' after
+// DIGEST_PENDING_TIMEOUT_MS (the instance died mid-send), up to DIGEST_MAX_ATTEMPTS claims.
+const { sendStaffDigestEmail } = require('../email/sendStaffDigestEmail');
+const { isResendConfigured } = require('../utils/diplomaUtils');
+const { parseStudentListParams, fetchAllStudentRows, mergeStudentRollups } = require('../utils/diplomaStudentList');
+
+const DIGEST_COLUMNS = ['id', 'full_name', 'email', 'cohort', 'diploma_tier', 'auth0_sub', 'invited_at', 'created_at'];
+const UNIQUE_VIOLATION = '23505';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIGEST_MAX_ATTEMPTS = 3;
+const DIGEST_PENDING_TIMEOUT_MS = 30 * 60 * 1000;
+
+function defaultInactiveDays() {
+  return Math.max(1, parseInt(process.env.DIPLOMA_DIGEST_INACTIVE_DAYS || '14', 10) || 14);
+}
+
+function daysSince(iso, now) {
+  if (!iso) return null;
+  const t = new Date(iso).getTime();
+  return Number.isNaN(t) ? null : Math.floor((now.getTime() - t) / DAY_MS);
+}
+
+// Returns { generated_at, inactive_days, counts, overdue, inactive, unlinked } (no email is sent)
+async function buildStaffDigest({ supabase, inactiveDays = defaultInactiveDays(), now = new Date(), requestId } = {}) {
+  const rows = await fetchAllStudentRows(supabase, parseStudentListParams({}), { columns: DIGEST_COLUMNS });
+  const students = await mergeStudentRollups(supabase, rows, { requestId, fillMissing: true });
+
+  const overdue = students
+    .filter((s) => Number(s.overdue_count || 0) > 0)
+    .sort((a, b) => Number(b.overdue_count) - Number(a.overdue_count));
+
+  // Students with no activity at all count from enrollment
+  const inactive = students
+    .map((s) => ({ ...s, inactive_days: daysSince(s.last_activity_at || s.created_at, now) }))
+    .filter((s) => s.inactive_days !== null && s.inactive_days > inactiveDays)
+    .sort((a, b) => b.inactive_days - a.inactive_days);
+
+  const unlinked = students
+    .filter((s) => !s.auth0_sub)
+    .sort((a, b) => String(a.full_name || '').localeCompare(String(b.full_name || '')));
+
+  return {
+    generated_at: now.toISOString(),
+    inactive_days: inactiveDays,
+    counts: {
+      students: students.length,
+      overdue: overdue.length,
+      inactive: inactive.length,
+      unlinked: unlinked.length,
+    },
+    overdue,
+    inactive,
+    unlinked,
+  };
+}
+
+async function loadStaffRecipients(supabase) {
+  const { data, error } = await supabase.from('staff').select('user_id, email, active').eq('active', true);
+  if (error) throw new Error(error.message);
+
+  const seen = new Set();
+  return (data || []).filter((s) => {
+    const email = String(s.email || '').trim().toLowerCase();
+    if (!email || seen.has(email)) return false;
+    seen.add(email);
+    return true;
+  });
+}
+
+// Sends the digest to every active staff member. Returns { digest counts, recipients: [{ email, ok, ... }] }.
+async function sendStaffDigest({ supabase, inactiveDays, requestId } = {}) {
+  if (!isResendConfigured()) {
+    throw new Error('Resend not configured (missing RESEND_API_KEY or RESEND_FROM)');
+  }
+
+  const digest = await buildStaffDigest({ supabase, inactiveDays, requestId });
+  const staff = await loadStaffRecipients(supabase);
+
+  const recipients = [];
+  for (const member of staff) {
+    try {
+      const sent = await sendStaffDigestEmail({ toEmail: member.email, digest });
+      recipients.push({ email: member.email, ok: true, message_id: sent?.id ? String(sent.id) : null });
+    } catch (e) {
+      console.error('Staff digest send failed', { requestId, email: member.email, message: e?.message });
+      recipients.push({ email: member.email, ok: false, error: e?.message || 'Send failed' });
+    }
+  }
+
+  return { generated_at: digest.generated_at, counts: digest.counts, recipients };
+}
+
+function intInRange(raw, min, max, fallback) {
+  const n = parseInt(raw, 10);
+  return Number.isInteger(n) && n >= min && n <= max ? n : fallback;
+}
+
+// Week key: UTC date of the most recent configured weekday
+function digestWeekStart(now, weekday) {
+  const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() - weekday + 7) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+function isRunReclaimable(run, now) {
+  if ((run.attempts || 1) >= DIGEST_MAX_ATTEMPTS) return false;
+  if (run.status === 'failed') return true;
+  const claimedAt = new Date(run.claimed_at || run.created_at).getTime();
+  return run.status === 'pending' && now.getTime() - claimedAt > DIGEST_PENDING_TIMEOUT_MS;
+}
+
+// Take over the week's failed or stale run; null when it's done, in progress or another tick got there first
+async function reclaimDigestRun(supabase, weekStart, now) {
+  const { data: run, error } = await supabase
+    .from('diploma_staff_digest_runs')
+    .select('id, status, attempts, claimed_at, created_at')
+    .eq('week_start', weekStart)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  if (!run || !isRunReclaimable(run, now)) return null;
+
+  // Conditional on the status and attempt count we read, so concurrent ticks can't both take it
+  let query = supabase
+    .from('diploma_staff_digest_runs')
+    .update({ status: 'pending', attempts: (run.attempts || 1) + 1, claimed_at: now.toISOString(), error: null })
+    .eq('id', run.id)
+    .eq('status', run.status);
+  if (run.attempts === null || run.attempts === undefined) query = query.is('attempts', null);
+  else query = query.eq('attempts', run.attempts);
+
+  const { data: updated, error: updErr } = await query.select('id');
+  if (updErr) throw new Error(updErr.message);
+  return updated?.length ? run : null;
+}
+
+function startStaffDigestScheduler({ supabase }) {
+  const weekday = intInRange(process.env.DIPLOMA_DIGEST_WEEKDAY, 0, 6, 1);
+  const hour = intInRange(process.env.DIPLOMA_DIGEST_HOUR_UTC, 0, 23, 13);
+  let running = false;
+
+  const tick = async () => {
+    const now = new Date();
+    const weekStart = digestWeekStart(now, weekday);
+    const dueAt = new Date(`${weekStart}T${String(hour).padStart(2, '0')}:00:00.000Z`);
+    if (running || now < dueAt) return;
+
+    running = true;
+    try {
+      const { data: inserted, error } = await supabase
+        .from('diploma_staff_digest_runs')
+        .insert({ week_start: weekStart, status: 'pending', attempts: 1, claimed_at: now.toISOString() })
+        .select('id')
+        .single();
+
+      let run = inserted;
+      if (error) {
+        if (error.code !== UNIQUE_VIOLATION) throw new Error(error.message);
+        run = await reclaimDigestRun(supabase, weekStart, now);
+        if (!run) return; // already sent (or being sent) this week
+      }
+
+      try {
+        const result = await sendStaffDigest({ supabase });
+        await supabase
+          .from('diploma_staff_digest_runs')
+          .update({ status: 'sent', sent_at: new Date().toISOString(), counts: result.counts, recipients: result.recipients })
+          .eq('id', run.id);
+        console.log('Staff digest sent', { weekStart, counts: result.counts });
+      } catch (e) {
+        await supabase.from('diploma_staff_digest_runs').update({ status: 'failed', error: e?.message }).eq('id', run.id);
+        throw e;
+      }
+    } catch (e) {
+      console.error('Staff digest run failed', { weekStart, message: e?.message });
+    } finally {
+      running = false;
+    }
+  };
+
+  const first = setTimeout(tick, 60_000);
+  const timer = setInterval(tick, 60 * 60_000);
+  first.unref();
+  timer.unref();
+
+  return () => {
+    clearTimeout(first);
+    clearInterval(timer);
+  };
+}
+
+module.exports = { buildStaffDigest, sendStaffDigest, startStaffDigestScheduler };
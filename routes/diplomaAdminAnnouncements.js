@@ -0,0 +1,488 @@
+// routes/diplomaAdminAnnouncements.js
+// Staff announcement management. Mounted at /api/diploma/admin.
+// Audience format, lifecycle status and matching rules live in utils/diplomaAnnouncements.js.
+const express = require('express');
+const {
+  ANNOUNCEMENT_STATUSES,
+  announcementStatus,
+  applyAnnouncementStatusFilter,
+  parseAnnouncementAudience,
+  parseTimestamp,
+  resolveAnnouncementAudience,
+  validateAnnouncementWindow,
+  fetchAnnouncementReads,
+  resolveStudentAudience,
+} = require('../utils/diplomaAnnouncements');
+const { isResendConfigured } = require('../utils/diplomaUtils');
+const { ID_CHUNK } = require('../utils/diplomaStudentList');
+const {
+  queueAnnouncementBroadcast,
+  processAnnouncementBroadcast,
+  summarizeDeliveries,
+  isBroadcastInFlight,
+} = require('../jobs/announcementBroadcast');
+
+const DELIVERY_STATUSES = ['queued', 'sent', 'failed', 'unknown'];
+
+module.exports = function createDiplomaAdminAnnouncementsRouter({ supabase, sendError, requireAdmin }) {
+  const router = express.Router();
+
+  // Explicit student lists must point at existing students; returns the unknown ids
+  async function findUnknownStudentIds(ids) {
+    if (!Array.isArray(ids) || ids.length === 0) return [];
+
+    const known = new Set();
+    for (let i = 0; i < ids.length; i += ID_CHUNK) {
+      const { data, error } = await supabase
+        .from('diploma_students')
+        .select('id')
+        .in('id', ids.slice(i, i + ID_CHUNK));
+      if (error) throw new Error(error.message);
+      (data || []).forEach((s) => known.add(s.id));
+    }
+
+    return ids.filter((id) => !known.has(id));
+  }
+
+  // Parses body.audience; sends the error response itself and returns null when invalid.
+  async function readAudience(req, res, input) {
+    const { fields, error } = parseAnnouncementAudience(input);
+    if (error) {
+      sendError(res, 400, 'BAD_REQUEST', error);
+      return null;
+    }
+
+    try {
+      const unknown = await findUnknownStudentIds(fields.audience_student_ids);
+      if (unknown.length) {
+        sendError(res, 400, 'UNKNOWN_STUDENTS', 'audience.student_ids contains unknown students', {
+          student_ids: unknown,
+        });
+        return null;
+      }
+    } catch (e) {
+      console.error('Error validating announcement audience', { requestId: req.requestId, message: e?.message });
+      sendError(res, 500, 'SUPABASE_ERROR', 'Failed to validate audience');
+      return null;
+    }
+
+    return fields;
+  }
+
+  async function loadAnnouncement(req, res) {
+    const { data, error } = await supabase
+      .from('diploma_announcements')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error loading announcement', { requestId: req.requestId, error: error.message });
+      sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load announcement');
+      return null;
+    }
+    if (!data) {
+      sendError(res, 404, 'NOT_FOUND', 'Announcement not found');
+      return null;
+    }
+    return data;
+  }
+
+  function withStatus(a, nowIso) {
+    return { ...a, status: announcementStatus(a, nowIso) };
+  }
+
+  // Only live announcements are emailed (a draft or scheduled one would arrive before it's visible).
+  // Returns an error tuple [status, code, message] or null.
+  function broadcastBlocker(announcement) {
+    const status = announcementStatus(announcement);
+    if (status !== 'live') {
+      return [409, 'ANNOUNCEMENT_NOT_LIVE', `Only live announcements can be emailed (this one is ${status})`];
+    }
+    if (!isResendConfigured()) {
+      return [400, 'BAD_REQUEST', 'Resend not configured (missing RESEND_API_KEY or RESEND_FROM)'];
+    }
+    return null;
+  }
+
+  // Kicks off the batched send without holding the request open; failures are logged + recorded per row.
+  function drainInBackground(req, announcement) {
+    processAnnouncementBroadcast({ supabase, announcement, requestId: req.requestId }).catch(() => {});
+  }
+
+  // GET /api/diploma/admin/announcements?status=draft|scheduled|live|expired
+  // Each row carries a derived `status`.
+  router.get('/announcements', requireAdmin, async (req, res) => {
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !ANNOUNCEMENT_STATUSES.includes(status)) {
+      return sendError(res, 400, 'BAD_REQUEST', 'status must be one of: draft | scheduled | live | expired');
+    }
+
+    const nowIso = new Date().toISOString();
+    let query = supabase.from('diploma_announcements').select('*');
+    if (status) query = applyAnnouncementStatusFilter(query, status, nowIso);
+
+    const { data, error } = await query.order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching admin announcements', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch announcements');
+    }
+
+    return res.json((data || []).map((a) => withStatus(a, nowIso)));
+  });
+
+  // POST /api/diploma/admin/announcements/audience-preview
+  // body: { audience } — same format as create; returns the resolved (non-archived) recipient counts
+  router.post('/announcements/audience-preview', requireAdmin, async (req, res) => {
+    const fields = await readAudience(req, res, req.body?.audience);
+    if (!fields) return;
+
+    try {
+      const { students, recipients } = await resolveAnnouncementAudience(supabase, fields);
+      return res.json({
+        audience: fields,
+        student_count: students.length,
+        recipient_count: recipients.length,
+        student_recipients: recipients.filter((r) => r.type === 'student').length,
+        parent_recipients: recipients.filter((r) => r.type === 'parent').length,
+      });
+    } catch (e) {
+      console.error('Error resolving announcement audience', { requestId: req.requestId, message: e?.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to resolve audience');
+    }
+  });
+
+  // POST /api/diploma/admin/announcements
+  // body: { title, body?, drive_link_url?, audience?, starts_at?, ends_at?, draft?, requires_ack?, email? }
+  // requires_ack: students are asked to acknowledge it (counted as unacknowledged on their dashboard).
+  // email: true also emails the audience (live announcements only); see GET /:id/deliveries for progress.
+  router.post('/announcements', requireAdmin, async (req, res) => {
+    const { title, body, drive_link_url, audience, draft, requires_ack, email } = req.body || {};
+
+    if (!title || typeof title !== 'string' || !title.trim()) {
+      return sendError(res, 400, 'BAD_REQUEST', 'Title is required');
+    }
+    if (requires_ack !== undefined && typeof requires_ack !== 'boolean') {
+      return sendError(res, 400, 'BAD_REQUEST', 'requires_ack must be a boolean');
+    }
+
+    const startsAt = parseTimestamp(req.body?.starts_at, 'starts_at');
+    const endsAt = parseTimestamp(req.body?.ends_at, 'ends_at');
+    const dateError = startsAt.error || endsAt.error;
+    if (dateError) return sendError(res, 400, 'BAD_REQUEST', dateError);
+
+    const nowIso = new Date().toISOString();
+    const insertStartsAt = startsAt.value || nowIso;
+    const insertEndsAt = endsAt.value || null;
+
+    const windowError = validateAnnouncementWindow(insertStartsAt, insertEndsAt);
+    if (windowError) return sendError(res, 400, 'BAD_REQUEST', windowError);
+
+    const audienceFields = await readAudience(req, res, audience);
+    if (!audienceFields) return;
+
+    const insert = {
+      title: title.trim(),
+      body: body?.trim() || '',
+      drive_link_url: drive_link_url?.trim() || null,
+      ...audienceFields,
+      starts_at: insertStartsAt,
+      ends_at: insertEndsAt,
+      is_draft: draft === true,
+      requires_ack: requires_ack === true,
+    };
+
+    if (email === true) {
+      const blocker = broadcastBlocker(insert);
+      if (blocker) return sendError(res, ...blocker);
+    }
+
+    const { data, error } = await supabase
+      .from('diploma_announcements')
+      .insert(insert)
+      .select('*')
+      .single();
+
+    if (error) {
+      console.error('Error creating admin announcement', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to create announcement');
+    }
+
+    if (email !== true) return res.status(201).json(withStatus(data));
+
+    // The announcement exists either way; a queueing failure is reported, and can be retried via /:id/email
+    let broadcast;
+    try {
+      const { queued } = await queueAnnouncementBroadcast({ supabase, announcement: data, requestedBy: req.staff?.user_id });
+      drainInBackground(req, data);
+      broadcast = { ok: true, queued };
+    } catch (e) {
+      console.error('Error queueing announcement email', { requestId: req.requestId, message: e?.message });
+      broadcast = { ok: false, error: e?.message || 'Failed to queue email' };
+    }
+
+    return res.status(201).json({ ...withStatus(data), broadcast });
+  });
+
+  // POST /api/diploma/admin/announcements/:id/email
+  // body: { retry?: boolean } — emails the audience of a live announcement. Once a broadcast exists,
+  // retry: true re-queues failed deliveries and resumes any left queued (e.g. after a restart). 'unknown'
+  // deliveries (Resend may have sent them) are left alone; check Resend before resending those by hand.
+  router.post('/announcements/:id/email', requireAdmin, async (req, res) => {
+    const announcement = await loadAnnouncement(req, res);
+    if (!announcement) return;
+
+    const blocker = broadcastBlocker(announcement);
+    if (blocker) return sendError(res, ...blocker);
+
+    if (isBroadcastInFlight(announcement.id)) {
+      return sendError(res, 409, 'BROADCAST_IN_PROGRESS', 'This announcement is being emailed right now');
+    }
+
+    try {
+      if (!announcement.email_requested_at) {
+        const { queued } = await queueAnnouncementBroadcast({
+          supabase,
+          announcement,
+          requestedBy: req.staff?.user_id,
+        });
+        drainInBackground(req, announcement);
+        return res.status(202).json({ ok: true, queued });
+      }
+
+      if (req.body?.retry !== true) {
+        return sendError(res, 409, 'ALREADY_SENT', 'This announcement was already emailed; send { retry: true } to retry failures');
+      }
+
+      const { error: requeueErr } = await supabase
+        .from('diploma_announcement_deliveries')
+        .update({ status: 'queued', error: null })
+        .eq('announcement_id', announcement.id)
+        .eq('status', 'failed');
+      if (requeueErr) throw new Error(requeueErr.message);
+
+      const summary = await summarizeDeliveries(supabase, announcement.id);
+      if (summary.queued > 0) {
+        const { error: statusErr } = await supabase
+          .from('diploma_announcements')
+          .update({ email_status: 'sending', email_completed_at: null })
+          .eq('id', announcement.id);
+        if (statusErr) throw new Error(statusErr.message);
+        drainInBackground(req, announcement);
+      }
+
+      return res.status(202).json({ ok: true, queued: summary.queued });
+    } catch (e) {
+      console.error('Error starting announcement email', { requestId: req.requestId, message: e?.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to start announcement email');
+    }
+  });
+
+  // GET /api/diploma/admin/announcements/:id/deliveries?status=queued|sent|failed|unknown&limit=
+  // Broadcast progress: overall counts + per-recipient rows (failures carry the Resend error).
+  router.get('/announcements/:id/deliveries', requireAdmin, async (req, res) => {
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return sendError(res, 400, 'BAD_REQUEST', 'status must be one of: queued | sent | failed | unknown');
+    }
+    const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 200));
+
+    const announcement = await loadAnnouncement(req, res);
+    if (!announcement) return;
+
+    try {
+      const summary = await summarizeDeliveries(supabase, announcement.id);
+
+      let query = supabase
+        .from('diploma_announcement_deliveries')
+        .select('id, student_id, recipient_type, email, status, message_id, error, attempted_at, sent_at')
+        .eq('announcement_id', announcement.id)
+        .order('email', { ascending: true })
+        .limit(limit);
+      if (status) query = query.eq('status', status);
+
+      const { data, error } = await query;
+      if (error) throw new Error(error.message);
+
+      return res.json({
+        announcement_id: announcement.id,
+        email_status: announcement.email_status || null,
+        email_requested_at: announcement.email_requested_at || null,
+        email_completed_at: announcement.email_completed_at || null,
+        in_progress: isBroadcastInFlight(announcement.id),
+        summary,
+        deliveries: data || [],
+      });
+    } catch (e) {
+      console.error('Error fetching announcement deliveries', { requestId: req.requestId, message: e?.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch deliveries');
+    }
+  });
+
+  // GET /api/diploma/admin/announcements/:id
+  router.get('/announcements/:id', requireAdmin, async (req, res) => {
+    const announcement = await loadAnnouncement(req, res);
+    if (!announcement) return;
+    return res.json(withStatus(announcement));
+  });
+
+  // PATCH /api/diploma/admin/announcements/:id
+  // body: any of { title, body, drive_link_url, audience, starts_at, ends_at, draft, requires_ack }
+  // draft: true unpublishes (hidden from both portals), draft: false publishes.
+  router.patch('/announcements/:id', requireAdmin, async (req, res) => {
+    const { title, body, drive_link_url, audience, draft, requires_ack } = req.body || {};
+    const update = {};
+
+    if (title !== undefined) {
+      if (typeof title !== 'string' || !title.trim()) return sendError(res, 400, 'BAD_REQUEST', 'Title is required');
+      update.title = title.trim();
+    }
+    if (body !== undefined) update.body = typeof body === 'string' ? body.trim() : '';
+    if (drive_link_url !== undefined) update.drive_link_url = drive_link_url?.trim() || null;
+
+    if (draft !== undefined) {
+      if (typeof draft !== 'boolean') return sendError(res, 400, 'BAD_REQUEST', 'draft must be a boolean');
+      update.is_draft = draft;
+    }
+    if (requires_ack !== undefined) {
+      if (typeof requires_ack !== 'boolean') {
+        return sendError(res, 400, 'BAD_REQUEST', 'requires_ack must be a boolean');
+      }
+      update.requires_ack = requires_ack;
+    }
+
+    const startsAt = parseTimestamp(req.body?.starts_at, 'starts_at');
+    const endsAt = parseTimestamp(req.body?.ends_at, 'ends_at');
+    const dateError = startsAt.error || endsAt.error;
+    if (dateError) return sendError(res, 400, 'BAD_REQUEST', dateError);
+    if (startsAt.value === null) return sendError(res, 400, 'BAD_REQUEST', 'starts_at cannot be cleared');
+    if (startsAt.value !== undefined) update.starts_at = startsAt.value;
+    if (endsAt.value !== undefined) update.ends_at = endsAt.value;
+
+    if (audience !== undefined) {
+      const audienceFields = await readAudience(req, res, audience);
+      if (!audienceFields) return;
+      Object.assign(update, audienceFields);
+    }
+
+    if (Object.keys(update).length === 0) {
+      return sendError(res, 400, 'BAD_REQUEST', 'No fields to update');
+    }
+
+    const before = await loadAnnouncement(req, res);
+    if (!before) return;
+
+    const windowError = validateAnnouncementWindow(
+      update.starts_at !== undefined ? update.starts_at : before.starts_at,
+      update.ends_at !== undefined ? update.ends_at : before.ends_at
+    );
+    if (windowError) return sendError(res, 400, 'BAD_REQUEST', windowError);
+
+    const { data, error } = await supabase
+      .from('diploma_announcements')
+      .update(update)
+      .eq('id', before.id)
+      .select('*')
+      .single();
+
+    if (error) {
+      console.error('Error updating announcement', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to update announcement');
+    }
+
+    return res.json(withStatus(data));
+  });
+
+  // Audience students joined with their read receipts. Throws on Supabase errors.
+  async function loadReceipts(announcement) {
+    const [students, reads] = await Promise.all([
+      resolveStudentAudience(supabase, announcement),
+      fetchAnnouncementReads(supabase, announcement.id),
+    ]);
+    const readMap = new Map(reads.map((r) => [r.student_id, r]));
+    return students.map((s) => ({ student: s, read: readMap.get(s.id) || null }));
+  }
+
+  function rate(n, total) {
+    return total > 0 ? Math.round((n / total) * 1000) / 10 : null;
+  }
+
+  // GET /api/diploma/admin/announcements/:id/stats
+  // Read / acknowledgement counts over the current (non-archived) student audience.
+  router.get('/announcements/:id/stats', requireAdmin, async (req, res) => {
+    const announcement = await loadAnnouncement(req, res);
+    if (!announcement) return;
+
+    try {
+      const receipts = await loadReceipts(announcement);
+      const readCount = receipts.filter((r) => r.read).length;
+      const ackCount = receipts.filter((r) => r.read?.acknowledged_at).length;
+
+      return res.json({
+        announcement_id: announcement.id,
+        status: announcementStatus(announcement),
+        audience_count: receipts.length,
+        read_count: readCount,
+        unread_count: receipts.length - readCount,
+        acknowledged_count: ackCount,
+        read_rate: rate(readCount, receipts.length),
+        acknowledged_rate: rate(ackCount, receipts.length),
+      });
+    } catch (e) {
+      console.error('Error building announcement stats', { requestId: req.requestId, message: e?.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load announcement stats');
+    }
+  });
+
+  // GET /api/diploma/admin/announcements/:id/unread?missing=read|acknowledgement
+  // Audience students who have not read (default) or not acknowledged the announcement.
+  router.get('/announcements/:id/unread', requireAdmin, async (req, res) => {
+    const missing = req.query.missing ? String(req.query.missing) : 'read';
+    if (!['read', 'acknowledgement'].includes(missing)) {
+      return sendError(res, 400, 'BAD_REQUEST', 'missing must be one of: read | acknowledgement');
+    }
+
+    const announcement = await loadAnnouncement(req, res);
+    if (!announcement) return;
+
+    try {
+      const receipts = await loadReceipts(announcement);
+      const pending = receipts.filter((r) => (missing === 'read' ? !r.read : !r.read?.acknowledged_at));
+
+      return res.json(
+        pending
+          .map(({ student, read }) => ({
+            id: student.id,
+            full_name: student.full_name,
+            email: student.email,
+            cohort: student.cohort,
+            diploma_tier: student.diploma_tier,
+            read_at: read?.read_at || null,
+          }))
+          .sort((a, b) => String(a.full_name || '').localeCompare(String(b.full_name || '')))
+      );
+    } catch (e) {
+      console.error('Error listing unread announcement audience', { requestId: req.requestId, message: e?.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load unread list');
+    }
+  });
+
+  // DELETE /api/diploma/admin/announcements/:id
+  // Permanent; use PATCH { draft: true } or an ends_at to take one down but keep it.
+  router.delete('/announcements/:id', requireAdmin, async (req, res) => {
+    const announcement = await loadAnnouncement(req, res);
+    if (!announcement) return;
+
+    const { error } = await supabase.from('diploma_announcements').delete().eq('id', announcement.id);
+
+    if (error) {
+      console.error('Error deleting announcement', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to delete announcement');
+    }
+
+    return res.status(204).send();
+  });
+
+  return router;
+};
@@ -0,0 +1,60 @@
+// routes/diplomaAdminDigest.js
+// Weekly staff digest (jobs/staffDigest.js). Mounted at /api/diploma/admin.
+const express = require('express');
+const { buildStaffDigest, sendStaffDigest } = require('../jobs/staffDigest');
+const { buildStaffDigestContent } = require('../email/sendStaffDigestEmail');
+const { isResendConfigured } = require('../utils/diplomaUtils');
+
+function parseInactiveDays(raw) {
+  if (raw === undefined || raw === null || raw === '') return { value: undefined };
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 1 || n > 365) return { error: 'inactive_days must be an integer between 1 and 365' };
+  return { value: n };
+}
+
+module.exports = function createDiplomaAdminDigestRouter({ supabase, sendError, requireAdmin }) {
+  const router = express.Router();
+
+  // GET /api/diploma/admin/digest/preview?inactive_days=14&format=json|html
+  // json (default): the digest data + rendered subject/html/text; html: the email body as a page
+  router.get('/digest/preview', requireAdmin, async (req, res) => {
+    const { value: inactiveDays, error: daysError } = parseInactiveDays(req.query.inactive_days);
+    if (daysError) return sendError(res, 400, 'BAD_REQUEST', daysError);
+
+    try {
+      const digest = await buildStaffDigest({ supabase, inactiveDays, requestId: req.requestId });
+      const email = buildStaffDigestContent(digest);
+
+      if (req.query.format === 'html') {
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        return res.send(email.html);
+      }
+
+      return res.json({ ...digest, email });
+    } catch (e) {
+      console.error('Staff digest preview failed', { requestId: req.requestId, message: e?.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to build digest');
+    }
+  });
+
+  // POST /api/diploma/admin/digest/send
+  // body: { inactive_days? } — sends the digest to all active staff now (outside the weekly schedule)
+  router.post('/digest/send', requireAdmin, async (req, res) => {
+    const { value: inactiveDays, error: daysError } = parseInactiveDays(req.body?.inactive_days);
+    if (daysError) return sendError(res, 400, 'BAD_REQUEST', daysError);
+
+    if (!isResendConfigured()) {
+      return sendError(res, 400, 'BAD_REQUEST', 'Resend not configured (missing RESEND_API_KEY or RESEND_FROM)');
+    }
+
+    try {
+      const result = await sendStaffDigest({ supabase, inactiveDays, requestId: req.requestId });
+      return res.json({ ok: true, ...result });
+    } catch (e) {
+      console.error('Staff digest send failed', { requestId: req.requestId, message: e?.message });
+      return sendError(res, 500, 'SERVER_ERROR', 'Failed to send digest');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,205 @@
+// routes/diplomaAdminItems.js
+// Bulk item assignment. Mounted at /api/diploma/admin.
+// One POST creates a diploma_student_items row per targeted student, all sharing a batch_id
+// (diploma_item_batches row) so the batch can be edited or deleted together later.
+const express = require('express');
+const { randomUUID } = require('crypto');
+const { buildItemInsert, buildItemUpdate } = require('../utils/diplomaItems');
+const { validateStudentTarget, resolveStudentTarget } = require('../utils/diplomaStudentList');
+
+const INSERT_CHUNK = 500;
+
+module.exports = function createDiplomaAdminItemsRouter({ supabase, sendError, requireAdmin }) {
+  const router = express.Router();
+
+  async function loadBatch(req, res) {
+    const { data, error } = await supabase
+      .from('diploma_item_batches')
+      .select('*')
+      .eq('id', req.params.batchId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error loading item batch', { requestId: req.requestId, error: error.message });
+      sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load item batch');
+      return null;
+    }
+    if (!data) {
+      sendError(res, 404, 'NOT_FOUND', 'Item batch not found');
+      return null;
+    }
+    return data;
+  }
+
+  // POST /api/diploma/admin/items/bulk
+  // body: {
+  //   target: { student_ids?, cohort?, diploma_tier?, filters?: { q, has_binder, missing_auth0_sub, has_overdue, ... }, all? },
+  //   item: { item_type, title, body?, drive_link_url?, due_date?, visible_to_student? },
+  //   dry_run?: boolean   // resolve + count only
+  // }
+  router.post('/items/bulk', requireAdmin, async (req, res) => {
+    try {
+      const { target, item, dry_run } = req.body || {};
+
+      const targetError = validateStudentTarget(target);
+      if (targetError) return sendError(res, 400, 'BAD_REQUEST', targetError);
+
+      const { payload, error: itemError } = buildItemInsert(item || {});
+      if (itemError) return sendError(res, 400, 'BAD_REQUEST', itemError);
+
+      let students;
+      try {
+        students = await resolveStudentTarget(supabase, target, { requestId: req.requestId });
+      } catch (e) {
+        console.error('Error resolving bulk item target', { requestId: req.requestId, error: e?.message });
+        return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to resolve students');
+      }
+
+      const studentIds = students.map((s) => s.id);
+
+      if (dry_run) {
+        return res.json({ ok: true, dry_run: true, student_count: studentIds.length, student_ids: studentIds });
+      }
+      if (studentIds.length === 0) {
+        return sendError(res, 400, 'NO_STUDENTS', 'Target matched no students');
+      }
+
+      const batchId = randomUUID();
+
+      const { data: batch, error: batchErr } = await supabase
+        .from('diploma_item_batches')
+        .insert({
+          id: batchId,
+          title: payload.title,
+          item_type: payload.item_type,
+          due_date: payload.due_date,
+          target,
+          student_count: studentIds.length,
+          created_by: req.staff?.user_id || null,
+        })
+        .select('*')
+        .single();
+
+      if (batchErr) {
+        console.error('Error creating item batch', { requestId: req.requestId, error: batchErr.message });
+        return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to create item batch');
+      }
+
+      let created = 0;
+      for (let i = 0; i < studentIds.length; i += INSERT_CHUNK) {
+        const rows = studentIds
+          .slice(i, i + INSERT_CHUNK)
+          .map((studentId) => ({ ...payload, student_id: studentId, batch_id: batchId }));
+
+        const { data, error } = await supabase.from('diploma_student_items').insert(rows).select('id');
+
+        if (error) {
+          console.error('Error inserting bulk items', { requestId: req.requestId, batchId, error: error.message });
+          return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to create all items; delete the batch and retry', {
+            batch_id: batchId,
+            created,
+          });
+        }
+        created += (data || []).length;
+      }
+
+      return res.status(201).json({ ok: true, batch_id: batchId, batch, created, student_ids: studentIds });
+    } catch (e) {
+      console.error('Bulk item error', { requestId: req.requestId, message: e?.message });
+      return sendError(res, 500, 'SERVER_ERROR', 'Bulk item creation failed');
+    }
+  });
+
+  // GET /api/diploma/admin/item-batches
+  router.get('/item-batches', requireAdmin, async (req, res) => {
+    const { data, error } = await supabase
+      .from('diploma_item_batches')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(200);
+
+    if (error) {
+      console.error('Error fetching item batches', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch item batches');
+    }
+
+    return res.json(data || []);
+  });
+
+  // GET /api/diploma/admin/item-batches/:batchId — batch + its items (with student name/email)
+  router.get('/item-batches/:batchId', requireAdmin, async (req, res) => {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+
+    const { data: items, error } = await supabase
+      .from('diploma_student_items')
+      .select('*, student:diploma_students(id, full_name, email, cohort)')
+      .eq('batch_id', batch.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error fetching batch items', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch batch items');
+    }
+
+    return res.json({ ...batch, items: items || [] });
+  });
+
+  // PATCH /api/diploma/admin/item-batches/:batchId
+  // Same content fields as PATCH /items/:itemId (status is per student and stays untouched).
+  router.patch('/item-batches/:batchId', requireAdmin, async (req, res) => {
+    const { update, error: validationError } = buildItemUpdate(req.body || {});
+    if (validationError) return sendError(res, 400, 'BAD_REQUEST', validationError);
+    if (Object.keys(update).length === 0) return sendError(res, 400, 'BAD_REQUEST', 'No fields to update');
+
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+
+    const { data, error } = await supabase
+      .from('diploma_student_items')
+      .update(update)
+      .eq('batch_id', batch.id)
+      .select('id');
+
+    if (error) {
+      console.error('Error updating batch items', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to update batch items');
+    }
+
+    const batchPatch = {};
+    if (update.title !== undefined) batchPatch.title = update.title;
+    if (update.item_type !== undefined) batchPatch.item_type = update.item_type;
+    if (update.due_date !== undefined) batchPatch.due_date = update.due_date;
+
+    if (Object.keys(batchPatch).length > 0) {
+      const { error: batchErr } = await supabase.from('diploma_item_batches').update(batchPatch).eq('id', batch.id);
+      if (batchErr) {
+        console.error('Error updating item batch', { requestId: req.requestId, error: batchErr.message });
+      }
+    }
+
+    return res.json({ ok: true, batch_id: batch.id, updated: (data || []).length });
+  });
+
+  // DELETE /api/diploma/admin/item-batches/:batchId — removes every item in the batch
+  router.delete('/item-batches/:batchId', requireAdmin, async (req, res) => {
+    const batch = await loadBatch(req, res);
+    if (!batch) return;
+
+    const { error } = await supabase.from('diploma_student_items').delete().eq('batch_id', batch.id);
+    if (error) {
+      console.error('Error deleting batch items', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to delete batch items');
+    }
+
+    const { error: batchErr } = await supabase.from('diploma_item_batches').delete().eq('id', batch.id);
+    if (batchErr) {
+      console.error('Error deleting item batch', { requestId: req.requestId, error: batchErr.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to delete item batch');
+    }
+
+    return res.status(204).send();
+  });
+
+  return router;
+};
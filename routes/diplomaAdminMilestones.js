@@ -0,0 +1,246 @@
+// routes/diplomaAdminMilestones.js
+// Admin-managed tier milestones and per-student completion. Mounted at /api/diploma/admin.
+// Completion rules live in utils/diplomaMilestones.js.
+const express = require('express');
+const { cleanStringOrNull, recordStudentHistory } = require('../utils/diplomaUtils');
+const { parseStudentListParams, fetchAllStudentRows, sortStudentRows } = require('../utils/diplomaStudentList');
+const {
+  milestoneSchema,
+  milestonePatchSchema,
+  fetchStudentMilestoneProgress,
+  mergeMilestoneProgress,
+} = require('../utils/diplomaMilestones');
+
+module.exports = function createDiplomaAdminMilestonesRouter({ supabase, sendError, requireAdmin }) {
+  const router = express.Router();
+
+  async function loadStudent(req, res) {
+    const { data, error } = await supabase
+      .from('diploma_students')
+      .select('id, full_name, diploma_tier, archived_at')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error loading student for milestones', { requestId: req.requestId, error: error.message });
+      sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load student');
+      return null;
+    }
+    if (!data) {
+      sendError(res, 404, 'NOT_FOUND', 'Student not found');
+      return null;
+    }
+    return data;
+  }
+
+  async function sendStudentProgress(req, res, student) {
+    try {
+      const progress = await fetchStudentMilestoneProgress(supabase, student);
+      return res.json({ student_id: student.id, diploma_tier: student.diploma_tier || null, ...progress });
+    } catch (e) {
+      console.error('Error computing milestone progress', { requestId: req.requestId, message: e?.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to compute milestone progress');
+    }
+  }
+
+  // GET /api/diploma/admin/milestones?tier=Ivy&include_inactive=1
+  router.get('/milestones', requireAdmin, async (req, res) => {
+    const tier = String(req.query.tier || '').trim();
+    const includeInactive = req.query.include_inactive === '1' || req.query.include_inactive === 'true';
+
+    let query = supabase
+      .from('diploma_milestones')
+      .select('*')
+      .order('diploma_tier', { ascending: true })
+      .order('position', { ascending: true });
+
+    if (tier) query = query.eq('diploma_tier', tier);
+    if (!includeInactive) query = query.eq('active', true);
+
+    const { data, error } = await query;
+    if (error) {
+      console.error('Error fetching milestones', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch milestones');
+    }
+
+    return res.json(data || []);
+  });
+
+  // GET /api/diploma/admin/milestones/progress?cohort=&diploma_tier=&include_archived=
+  // Completion per student (same filters as GET /students), lowest completion first. Students whose tier
+  // has no milestones (completion_pct null) come first, as in the list's completion_pct sort.
+  router.get('/milestones/progress', requireAdmin, async (req, res) => {
+    const params = parseStudentListParams(req.query);
+
+    let rows;
+    try {
+      rows = await fetchAllStudentRows(supabase, params, {
+        columns: ['id', 'full_name', 'email', 'cohort', 'diploma_tier'],
+      });
+    } catch (e) {
+      console.error('Error fetching students for milestone progress', { requestId: req.requestId, error: e?.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch students');
+    }
+
+    const merged = await mergeMilestoneProgress(supabase, rows, { requestId: req.requestId });
+    const sorted = sortStudentRows(merged, 'completion_pct', 'asc');
+
+    return res.json({ total: sorted.length, rows: sorted });
+  });
+
+  // POST /api/diploma/admin/milestones
+  // body: { diploma_tier, title, description?, position?, active? }
+  router.post('/milestones', requireAdmin, async (req, res) => {
+    const parsed = milestoneSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return sendError(res, 400, 'BAD_REQUEST', 'Invalid milestone', { detail: parsed.error.flatten() });
+    }
+
+    const { data, error } = await supabase
+      .from('diploma_milestones')
+      .insert({ ...parsed.data, created_by: req.staff?.user_id || null })
+      .select('*')
+      .single();
+
+    if (error) {
+      console.error('Error creating milestone', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to create milestone');
+    }
+
+    return res.status(201).json(data);
+  });
+
+  router.patch('/milestones/:id', requireAdmin, async (req, res) => {
+    const parsed = milestonePatchSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return sendError(res, 400, 'BAD_REQUEST', 'Invalid milestone', { detail: parsed.error.flatten() });
+    }
+
+    const update = Object.fromEntries(Object.entries(parsed.data).filter(([, v]) => v !== undefined));
+    if (Object.keys(update).length === 0) {
+      return sendError(res, 400, 'BAD_REQUEST', 'No fields to update');
+    }
+
+    const { data, error } = await supabase
+      .from('diploma_milestones')
+      .update(update)
+      .eq('id', req.params.id)
+      .select('*')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error updating milestone', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to update milestone');
+    }
+    if (!data) return sendError(res, 404, 'NOT_FOUND', 'Milestone not found');
+
+    return res.json(data);
+  });
+
+  // Linked items keep existing (their milestone_id is cleared by the FK); manual completions go with it.
+  // Set active: false instead to retire a milestone without losing that history.
+  router.delete('/milestones/:id', requireAdmin, async (req, res) => {
+    const { error } = await supabase
+      .from('diploma_milestones')
+      .delete()
+      .eq('id', req.params.id);
+
+    if (error) {
+      console.error('Error deleting milestone', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to delete milestone');
+    }
+
+    return res.status(204).send();
+  });
+
+  // GET /api/diploma/admin/students/:id/milestones
+  // { student_id, diploma_tier, completion_pct, completed, total, milestones: [{ ..., completed, completed_via, linked_items }] }
+  router.get('/students/:id/milestones', requireAdmin, async (req, res) => {
+    const student = await loadStudent(req, res);
+    if (!student) return;
+    return sendStudentProgress(req, res, student);
+  });
+
+  // POST /api/diploma/admin/students/:id/milestones/:milestoneId/complete
+  // body: { note? } — marks the milestone complete regardless of its linked items
+  router.post('/students/:id/milestones/:milestoneId/complete', requireAdmin, async (req, res) => {
+    const student = await loadStudent(req, res);
+    if (!student) return;
+
+    const { data: milestone, error: mErr } = await supabase
+      .from('diploma_milestones')
+      .select('id, title, diploma_tier')
+      .eq('id', req.params.milestoneId)
+      .maybeSingle();
+
+    if (mErr) {
+      console.error('Error loading milestone', { requestId: req.requestId, error: mErr.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load milestone');
+    }
+    if (!milestone) return sendError(res, 404, 'NOT_FOUND', 'Milestone not found');
+    if (milestone.diploma_tier !== student.diploma_tier) {
+      return sendError(res, 409, 'TIER_MISMATCH', `Milestone belongs to the ${milestone.diploma_tier} tier`);
+    }
+
+    const { error } = await supabase.from('diploma_student_milestones').upsert(
+      {
+        student_id: student.id,
+        milestone_id: milestone.id,
+        completed_at: new Date().toISOString(),
+        completed_by: req.staff?.user_id || null,
+        note: cleanStringOrNull(req.body?.note),
+      },
+      { onConflict: 'student_id,milestone_id' }
+    );
+
+    if (error) {
+      console.error('Error completing milestone', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to complete milestone');
+    }
+
+    await recordStudentHistory({
+      supabase,
+      studentId: student.id,
+      action: 'milestone_complete',
+      actorId: req.staff?.user_id,
+      requestId: req.requestId,
+      note: milestone.title,
+    });
+
+    return sendStudentProgress(req, res, student);
+  });
+
+  // DELETE /api/diploma/admin/students/:id/milestones/:milestoneId/complete
+  // Removes a manual completion; the milestone may still count as complete through its linked items.
+  router.delete('/students/:id/milestones/:milestoneId/complete', requireAdmin, async (req, res) => {
+    const student = await loadStudent(req, res);
+    if (!student) return;
+
+    const { data, error } = await supabase
+      .from('diploma_student_milestones')
+      .delete()
+      .eq('student_id', student.id)
+      .eq('milestone_id', req.params.milestoneId)
+      .select('id');
+
+    if (error) {
+      console.error('Error clearing milestone completion', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to clear milestone completion');
+    }
+
+    if ((data || []).length > 0) {
+      await recordStudentHistory({
+        supabase,
+        studentId: student.id,
+        action: 'milestone_uncomplete',
+        actorId: req.staff?.user_id,
+        requestId: req.requestId,
+        note: req.params.milestoneId,
+      });
+    }
+
+    return sendStudentProgress(req, res, student);
+  });
+
+  return router;
+};
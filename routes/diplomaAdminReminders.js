@@ -0,0 +1,62 @@
+// routes/diplomaAdminReminders.js
+// Due-date reminder tooling. Mounted at /api/diploma/admin.
+// The scheduled job lives in jobs/dueReminders.js; these routes let staff preview/trigger a run
+// and see what was sent (diploma_reminder_log).
+const express = require('express');
+const { runDueReminders } = require('../jobs/dueReminders');
+const { isResendConfigured } = require('../utils/diplomaUtils');
+
+const LOG_STATUSES = ['pending', 'sent', 'failed'];
+
+module.exports = function createDiplomaAdminRemindersRouter({ supabase, sendError, requireAdmin }) {
+  const router = express.Router();
+
+  // POST /api/diploma/admin/reminders/run
+  // body: { dry_run?: boolean } — dry_run lists what would be sent without claiming or emailing
+  router.post('/reminders/run', requireAdmin, async (req, res) => {
+    const dryRun = !!req.body?.dry_run;
+
+    if (!dryRun && !isResendConfigured()) {
+      return sendError(res, 400, 'BAD_REQUEST', 'Resend not configured (missing RESEND_API_KEY or RESEND_FROM)');
+    }
+
+    try {
+      const summary = await runDueReminders({ supabase, dryRun, requestId: req.requestId });
+      return res.json({ ok: true, ...summary });
+    } catch (e) {
+      console.error('Manual due reminder run failed', { requestId: req.requestId, message: e?.message });
+      return sendError(res, 500, 'SERVER_ERROR', 'Reminder run failed');
+    }
+  });
+
+  // GET /api/diploma/admin/reminders/log?student_id=&item_id=&status=&limit=
+  router.get('/reminders/log', requireAdmin, async (req, res) => {
+    const { student_id, item_id, status } = req.query;
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+
+    if (status && !LOG_STATUSES.includes(status)) {
+      return sendError(res, 400, 'BAD_REQUEST', 'status must be one of: pending | sent | failed');
+    }
+
+    let query = supabase
+      .from('diploma_reminder_log')
+      .select('*, item:diploma_student_items(id, title, due_date), student:diploma_students(id, full_name, email)')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (student_id) query = query.eq('student_id', student_id);
+    if (item_id) query = query.eq('item_id', item_id);
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Error fetching reminder log', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch reminder log');
+    }
+
+    return res.json(data || []);
+  });
+
+  return router;
+};
@@ -0,0 +1,181 @@
+// routes/diplomaAdminStudentMerge.js
+// Duplicate student detection and merging. Mounted at /api/diploma/admin.
+// Matching rules: utils/diplomaDuplicates.js. What a merge moves and how: utils/diplomaStudentMerge.js.
+const express = require('express');
+const { cleanStringOrNull } = require('../utils/diplomaUtils');
+const { parseStudentListParams, fetchAllStudentRows } = require('../utils/diplomaStudentList');
+const { findDuplicatePairs } = require('../utils/diplomaDuplicates');
+const { planSurvivorUpdate, countDuplicateRows, mergeStudents } = require('../utils/diplomaStudentMerge');
+
+const DUPLICATE_COLUMNS = [
+  'id',
+  'full_name',
+  'email',
+  'cohort',
+  'diploma_tier',
+  'parent_email',
+  'auth0_sub',
+  'created_at',
+  'archived_at',
+  'merged_into_id',
+];
+
+const MERGES_LIST_LIMIT = 200;
+
+module.exports = function createDiplomaAdminStudentMergeRouter({ supabase, sendError, requireAdmin }) {
+  const router = express.Router();
+
+  async function loadStudent(id) {
+    return supabase.from('diploma_students').select('*').eq('id', id).maybeSingle();
+  }
+
+  // GET /api/diploma/admin/students/duplicates?cohort=&diploma_tier=&include_archived=&confidence=high
+  // Likely duplicate pairs among the (optionally filtered) students, most confident first. Merged records
+  // are skipped.
+  router.get('/students/duplicates', requireAdmin, async (req, res) => {
+    const params = parseStudentListParams(req.query);
+    const confidence = String(req.query.confidence || '').trim();
+
+    let rows;
+    try {
+      rows = await fetchAllStudentRows(supabase, params, { columns: DUPLICATE_COLUMNS });
+    } catch (e) {
+      console.error('Error fetching students for duplicate check', { requestId: req.requestId, error: e?.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch students');
+    }
+
+    let pairs = findDuplicatePairs(rows.filter((r) => !r.merged_into_id));
+    if (confidence === 'high' || confidence === 'medium') pairs = pairs.filter((p) => p.confidence === confidence);
+
+    return res.json({ total: pairs.length, pairs });
+  });
+
+  // GET /api/diploma/admin/students/merges?student_id=
+  // Merge records, newest first (optionally those where the student survived or was merged away).
+  router.get('/students/merges', requireAdmin, async (req, res) => {
+    const studentId = cleanStringOrNull(req.query.student_id);
+
+    const listMerges = (column) => {
+      let query = supabase
+        .from('diploma_student_merges')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(MERGES_LIST_LIMIT);
+      if (column) query = query.eq(column, studentId);
+      return query;
+    };
+
+    // Survivor or merged-away side: two plain .eq queries rather than an .or() built from user input
+    const results = await Promise.all(
+      studentId ? [listMerges('survivor_id'), listMerges('merged_id')] : [listMerges()]
+    );
+
+    const failed = results.find((r) => r.error);
+    if (failed) {
+      console.error('Error fetching student merges', { requestId: req.requestId, error: failed.error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch merges');
+    }
+
+    const byId = new Map();
+    results.forEach((r) => (r.data || []).forEach((m) => byId.set(m.id, m)));
+    const merges = [...byId.values()]
+      .sort((a, b) => new Date(b.created_at).getTime() - new Date(a.created_at).getTime())
+      .slice(0, MERGES_LIST_LIMIT);
+
+    return res.json(merges);
+  });
+
+  // POST /api/diploma/admin/students/:id/merge
+  // Body: { duplicate_id, keep_auth0_sub?: 'survivor' | 'duplicate', allow_archived_survivor?, dry_run? }
+  // Merges duplicate_id into :id (the survivor). dry_run returns the survivor patch and the rows that
+  // would move. An archived survivor needs allow_archived_survivor: true (the merged data would be
+  // hidden). A failed merge returns merge_id; repeating the same request finishes it.
+  router.post('/students/:id/merge', requireAdmin, async (req, res) => {
+    const survivorId = req.params.id;
+    const duplicateId = cleanStringOrNull(req.body?.duplicate_id);
+    const keepAuth0Sub = cleanStringOrNull(req.body?.keep_auth0_sub);
+    const dryRun = req.body?.dry_run === true;
+    const allowArchivedSurvivor = req.body?.allow_archived_survivor === true;
+
+    if (!duplicateId) return sendError(res, 400, 'BAD_REQUEST', 'duplicate_id is required');
+    if (duplicateId === survivorId) return sendError(res, 400, 'BAD_REQUEST', 'Cannot merge a student into itself');
+    if (keepAuth0Sub && !['survivor', 'duplicate'].includes(keepAuth0Sub)) {
+      return sendError(res, 400, 'BAD_REQUEST', "keep_auth0_sub must be 'survivor' or 'duplicate'");
+    }
+
+    const [{ data: survivor, error: sErr }, { data: duplicate, error: dErr }] = await Promise.all([
+      loadStudent(survivorId),
+      loadStudent(duplicateId),
+    ]);
+
+    if (sErr || dErr) {
+      console.error('Error loading students for merge', { requestId: req.requestId, error: (sErr || dErr).message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load students');
+    }
+    if (!survivor) return sendError(res, 404, 'NOT_FOUND', 'Student not found');
+    if (!duplicate) return sendError(res, 404, 'NOT_FOUND', 'Duplicate student not found');
+
+    if (survivor.merged_into_id) {
+      return sendError(res, 409, 'ALREADY_MERGED', 'Student has been merged into another record', {
+        merged_into_id: survivor.merged_into_id,
+      });
+    }
+    if (survivor.archived_at && !allowArchivedSurvivor) {
+      return sendError(res, 409, 'STUDENT_ARCHIVED', 'Student is archived; set allow_archived_survivor to merge');
+    }
+    if (duplicate.merged_into_id && duplicate.merged_into_id !== survivor.id) {
+      return sendError(res, 409, 'ALREADY_MERGED', 'Duplicate has been merged into another record', {
+        merged_into_id: duplicate.merged_into_id,
+      });
+    }
+
+    const plan = planSurvivorUpdate(survivor, duplicate, keepAuth0Sub);
+    if (plan.error === 'AUTH0_CONFLICT') {
+      return sendError(res, 409, 'AUTH0_CONFLICT', 'Both students are linked to different logins; set keep_auth0_sub', {
+        survivor_auth0_sub: survivor.auth0_sub,
+        duplicate_auth0_sub: duplicate.auth0_sub,
+      });
+    }
+
+    if (dryRun) {
+      let wouldMove;
+      try {
+        wouldMove = await countDuplicateRows(supabase, duplicate.id);
+      } catch (e) {
+        console.error('Error counting rows for merge', { requestId: req.requestId, message: e?.message });
+        return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to count rows to merge');
+      }
+
+      return res.json({
+        dry_run: true,
+        survivor_id: survivor.id,
+        duplicate_id: duplicate.id,
+        auth0_resolution: plan.auth0Resolution,
+        survivor_patch: plan.patch,
+        would_move: wouldMove,
+      });
+    }
+
+    try {
+      const result = await mergeStudents({
+        supabase,
+        survivor,
+        duplicate,
+        keepAuth0Sub,
+        actorId: req.staff?.user_id,
+        requestId: req.requestId,
+      });
+      return res.json(result);
+    } catch (e) {
+      if (e?.code === 'ALREADY_MERGED') return sendError(res, 409, 'ALREADY_MERGED', e.message);
+      if (e?.code === 'AUTH0_CONFLICT') return sendError(res, 409, 'AUTH0_CONFLICT', e.message);
+
+      console.error('Error merging students', { requestId: req.requestId, mergeId: e?.mergeId, message: e?.message });
+      return sendError(res, 500, 'MERGE_FAILED', 'Merge did not complete; repeat the request to finish it', {
+        merge_id: e?.mergeId || null,
+      });
+    }
+  });
+
+  return router;
+};
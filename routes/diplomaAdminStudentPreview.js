@@ -0,0 +1,79 @@
+// routes/diplomaAdminStudentPreview.js
+// "View as student": what GET /me, /me/items and /announcements return for one student.
+// Mounted at /api/diploma/admin. Every use is audited in diploma_student_access_log
+// ({ student_id, action: 'view_as_student', staff_id, reason, request_id }), kept apart from the
+// field-change history; no preview is returned unless the audit row was written.
+const express = require('express');
+const { cleanStringOrNull } = require('../utils/diplomaUtils');
+const {
+  STUDENT_ARCHIVED_MESSAGE,
+  buildStudentMe,
+  fetchVisibleStudentItems,
+  fetchStudentAnnouncements,
+} = require('../utils/diplomaStudentView');
+
+module.exports = function createDiplomaAdminStudentPreviewRouter({ supabase, sendError, requireAdmin }) {
+  const router = express.Router();
+
+  // GET /api/diploma/admin/students/:id/view-as-student?reason=
+  // Returns { portal_access, me, items, announcements } where each payload is { status, body } exactly
+  // as the student would receive it (archived students get the 403 from the /me routes).
+  // portal_access: 'ok' | 'archived' | 'not_linked' (no auth0_sub yet, so they can't sign in at all).
+  router.get('/students/:id/view-as-student', requireAdmin, async (req, res) => {
+    const { data: student, error } = await supabase
+      .from('diploma_students')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error loading student for preview', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load student');
+    }
+    if (!student) return sendError(res, 404, 'NOT_FOUND', 'Student not found');
+
+    const { error: auditErr } = await supabase.from('diploma_student_access_log').insert({
+      student_id: student.id,
+      action: 'view_as_student',
+      staff_id: req.staff?.user_id || null,
+      reason: cleanStringOrNull(req.query.reason),
+      request_id: req.requestId || null,
+    });
+
+    if (auditErr) {
+      console.error('Error writing view-as-student audit', { requestId: req.requestId, error: auditErr.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to record preview access');
+    }
+
+    let me;
+    let items;
+    let announcements;
+    try {
+      [me, items, announcements] = await Promise.all([
+        student.archived_at ? null : buildStudentMe(supabase, student, { requestId: req.requestId }),
+        student.archived_at ? null : fetchVisibleStudentItems(supabase, student.id),
+        fetchStudentAnnouncements(supabase, student, { requestId: req.requestId }),
+      ]);
+    } catch (e) {
+      console.error('Error building student preview', { requestId: req.requestId, message: e?.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to build student preview');
+    }
+
+    const archived = { status: 403, body: { error: { code: 'STUDENT_ARCHIVED', message: STUDENT_ARCHIVED_MESSAGE } } };
+
+    let portalAccess = 'ok';
+    if (student.archived_at) portalAccess = 'archived';
+    else if (!student.auth0_sub) portalAccess = 'not_linked';
+
+    return res.json({
+      student_id: student.id,
+      portal_access: portalAccess,
+      generated_at: new Date().toISOString(),
+      me: student.archived_at ? archived : { status: 200, body: me },
+      items: student.archived_at ? archived : { status: 200, body: items },
+      announcements: { status: 200, body: announcements },
+    });
+  });
+
+  return router;
+};
@@ -0,0 +1,471 @@
+// routes/diplomaAdminStudents.js
+// Diploma admin student tooling that doesn't fit the single-record routes in index.js.
+// Mounted at /api/diploma/admin; every route is gated with requireAdmin (Auth0 + active staff).
+const express = require('express');
+const ExcelJS = require('exceljs');
+const { parseCsvRecords, toCsvLine } = require('../utils/csv');
+const {
+  buildStudentInsert,
+  isResendConfigured,
+  sendStudentInvite,
+  diffStudentFields,
+  recordStudentHistory,
+} = require('../utils/diplomaUtils');
+const {
+  STUDENT_LIST_COLUMNS,
+  parseStudentListParams,
+  ID_CHUNK,
+  fetchAllStudentRows,
+  applyDerivedProcessing,
+  validateStudentTarget,
+  resolveStudentTarget,
+} = require('../utils/diplomaStudentList');
+const { autoApplyTierTemplates } = require('../utils/diplomaTemplates');
+
+const IMPORT_MAX_ROWS = 1000;
+
+// Bulk invites run inside the request, one throttled send at a time: 40 sends take ~30s, inside a
+// normal proxy timeout. Larger targets go out over several requests (e.g. per cohort, or student_ids batches).
+const BULK_INVITE_MAX = 40;
+const DEFAULT_REINVITE_AFTER_DAYS = 7;
+
+// CSV header -> diploma_students column. Exact column names are always accepted.
+const IMPORT_COLUMNS = [
+  'full_name',
+  'email',
+  'cohort',
+  'diploma_tier',
+  'parent_name',
+  'parent_mobile',
+  'parent_email',
+  'drive_binder_url',
+  'drive_folder_url',
+  'has_signed_agreement',
+  'signed_agreement_url',
+  'running_notes_url',
+];
+
+const IMPORT_ALIASES = {
+  name: 'full_name',
+  student_name: 'full_name',
+  student_email: 'email',
+  tier: 'diploma_tier',
+  binder_url: 'drive_binder_url',
+  folder_url: 'drive_folder_url',
+  signed_agreement: 'has_signed_agreement',
+};
+
+// [column, header] — list columns plus parent contact + rollup / milestone derived columns
+const EXPORT_COLUMNS = [
+  ['full_name', 'Full name'],
+  ['email', 'Email'],
+  ['cohort', 'Cohort'],
+  ['diploma_tier', 'Diploma tier'],
+  ['parent_name', 'Parent name'],
+  ['parent_email', 'Parent email'],
+  ['parent_mobile', 'Parent mobile'],
+  ['has_signed_agreement', 'Signed agreement'],
+  ['drive_binder_url', 'Binder URL'],
+  ['drive_folder_url', 'Folder URL'],
+  ['auth0_sub', 'Auth0 sub'],
+  ['invited_at', 'Invited at'],
+  ['invite_delivery_status', 'Invite delivery'],
+  ['items_count', 'Items'],
+  ['overdue_count', 'Overdue'],
+  ['last_activity_at', 'Last activity'],
+  ['completion_pct', 'Completion %'],
+  ['created_at', 'Created at'],
+  ['updated_at', 'Updated at'],
+  ['archived_at', 'Archived at'],
+  ['id', 'Student ID'],
+];
+
+const EXPORT_SELECT_COLUMNS = [
+  ...new Set([...STUDENT_LIST_COLUMNS, 'parent_name', 'parent_email', 'parent_mobile']),
+];
+
+function exportCell(row, key) {
+  const v = row[key];
+  if (key === 'has_signed_agreement') return v === true ? 'yes' : v === false ? 'no' : '';
+  return v === undefined || v === null ? '' : v;
+}
+
+function parseCsvBool(v) {
+  const s = String(v || '').trim().toLowerCase();
+  if (!s) return null;
+  if (['1', 'true', 'yes', 'y'].includes(s)) return true;
+  if (['0', 'false', 'no', 'n'].includes(s)) return false;
+  return undefined; // invalid
+}
+
+function isTruthyFlag(v) {
+  return v === true || v === 1 || v === '1' || v === 'true';
+}
+
+// Pause between invite sends (Resend's default limit is 2 requests/second)
+function inviteSendDelayMs() {
+  const ms = parseInt(process.env.DIPLOMA_INVITE_SEND_DELAY_MS || '600', 10);
+  return Number.isInteger(ms) && ms >= 0 ? ms : 600;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = function createDiplomaAdminStudentsRouter({ supabase, sendError, requireAdmin }) {
+  const router = express.Router();
+
+  // Lowercased emails (of those given) that already belong to a student. Stored emails may carry any case
+  // (POST /students matches with ilike), so the lookup goes through the generated email_lower = lower(email).
+  async function findExistingEmails(emails) {
+    const wanted = [...new Set(emails.map((e) => String(e).trim().toLowerCase()))];
+    const found = new Set();
+
+    for (let i = 0; i < wanted.length; i += ID_CHUNK) {
+      const { data, error } = await supabase
+        .from('diploma_students')
+        .select('email_lower')
+        .in('email_lower', wanted.slice(i, i + ID_CHUNK));
+
+      if (error) throw new Error(error.message);
+      (data || []).forEach((r) => found.add(r.email_lower));
+    }
+    return found;
+  }
+
+  // GET /api/diploma/admin/students/export?format=csv|xlsx
+  // Accepts the same q / cohort / diploma_tier / has_binder / missing_binder / missing_auth0_sub / has_overdue /
+  // include_archived / sort / dir params as GET /students, but always returns every matching row (no paging).
+  router.get('/students/export', requireAdmin, async (req, res) => {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'xlsx'].includes(format)) {
+      return sendError(res, 400, 'BAD_REQUEST', 'format must be one of: csv | xlsx');
+    }
+
+    const params = parseStudentListParams(req.query);
+
+    let rows;
+    try {
+      const rowsAll = await fetchAllStudentRows(supabase, params, { columns: EXPORT_SELECT_COLUMNS });
+      rows = await applyDerivedProcessing(supabase, rowsAll, params, {
+        requestId: req.requestId,
+        fillMissing: true,
+      });
+    } catch (e) {
+      console.error('Error fetching admin students (export)', { requestId: req.requestId, error: e?.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch students');
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    const filename = `diploma-students-${stamp}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.write('\uFEFF'); // BOM so Excel opens UTF-8 names correctly
+        res.write(toCsvLine(EXPORT_COLUMNS.map(([, header]) => header)));
+        for (const row of rows) {
+          res.write(toCsvLine(EXPORT_COLUMNS.map(([key]) => exportCell(row, key))));
+        }
+        return res.end();
+      }
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+      const sheet = workbook.addWorksheet('Students');
+      sheet.columns = EXPORT_COLUMNS.map(([key, header]) => ({ key, header, width: 20 }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.getRow(1).commit();
+
+      for (const row of rows) {
+        const values = {};
+        EXPORT_COLUMNS.forEach(([key]) => {
+          const v = exportCell(row, key);
+          values[key] = /_at$/.test(key) && v ? new Date(v) : v;
+        });
+        sheet.addRow(values).commit();
+      }
+
+      sheet.commit();
+      await workbook.commit();
+    } catch (e) {
+      console.error('Student export stream error', { requestId: req.requestId, format, message: e?.message });
+      if (!res.headersSent) return sendError(res, 500, 'SERVER_ERROR', 'Export failed');
+      res.destroy(e);
+    }
+  });
+
+  // POST /api/diploma/admin/students/import
+  // Body: text/csv (options in query string) or JSON { csv, mode?, send_invite? }
+  // mode: 'dry_run' (default) validates only; 'commit' inserts the valid rows.
+  router.post(
+    '/students/import',
+    requireAdmin,
+    express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+    async (req, res) => {
+      try {
+        const isRawCsv = typeof req.body === 'string';
+        const opts = isRawCsv ? req.query : { ...req.query, ...(req.body || {}) };
+        const csvText = isRawCsv ? req.body : req.body?.csv;
+
+        const mode = String(opts.mode || 'dry_run');
+        if (!['dry_run', 'commit'].includes(mode)) {
+          return sendError(res, 400, 'BAD_REQUEST', 'mode must be one of: dry_run | commit');
+        }
+        const sendInvites = isTruthyFlag(opts.send_invite);
+
+        if (!csvText || typeof csvText !== 'string' || !csvText.trim()) {
+          return sendError(res, 400, 'BAD_REQUEST', 'CSV content is required');
+        }
+
+        let parsed;
+        try {
+          parsed = parseCsvRecords(csvText);
+        } catch (e) {
+          return sendError(res, 400, 'INVALID_CSV', e?.message || 'Could not parse CSV');
+        }
+
+        const columnFor = (h) => (IMPORT_COLUMNS.includes(h) ? h : IMPORT_ALIASES[h] || null);
+        const ignoredColumns = parsed.headers.filter((h) => h && !columnFor(h));
+
+        if (!parsed.headers.some((h) => columnFor(h) === 'email')) {
+          return sendError(res, 400, 'INVALID_CSV', 'CSV header must include an email column');
+        }
+        if (parsed.records.length === 0) {
+          return sendError(res, 400, 'INVALID_CSV', 'CSV has no data rows');
+        }
+        if (parsed.records.length > IMPORT_MAX_ROWS) {
+          return sendError(res, 400, 'TOO_MANY_ROWS', `CSV import is limited to ${IMPORT_MAX_ROWS} rows`);
+        }
+
+        // 1) Validate every row with the same rules as POST /students
+        const rows = parsed.records.map(({ line, record }) => {
+          const body = {};
+          Object.entries(record).forEach(([h, v]) => {
+            const col = columnFor(h);
+            if (col) body[col] = v;
+          });
+
+          const extraErrors = [];
+          if (body.has_signed_agreement !== undefined) {
+            const b = parseCsvBool(body.has_signed_agreement);
+            if (b === undefined) extraErrors.push('has_signed_agreement must be yes/no/true/false/1/0');
+            body.has_signed_agreement = b === undefined ? null : b;
+          }
+
+          const { payload, errors } = buildStudentInsert(body);
+          return { line, email: payload.email, payload, errors: [...errors, ...extraErrors] };
+        });
+
+        // 2) Duplicate emails: within the file, then against diploma_students
+        const seen = new Map();
+        rows.forEach((r) => {
+          if (!r.email) return;
+          if (seen.has(r.email)) {
+            r.errors.push(`Duplicate email in CSV (first seen on row ${seen.get(r.email)})`);
+          } else {
+            seen.set(r.email, r.line);
+          }
+        });
+
+        const existing = await findExistingEmails([...seen.keys()]);
+        rows.forEach((r) => {
+          if (r.email && existing.has(r.email.toLowerCase())) r.errors.push('A student with this email already exists');
+        });
+
+        const report = rows.map((r) => ({
+          row: r.line,
+          email: r.email,
+          full_name: r.payload.full_name,
+          status: r.errors.length ? 'invalid' : 'valid',
+          errors: r.errors,
+        }));
+
+        const summary = {
+          total: rows.length,
+          valid: report.filter((r) => r.status === 'valid').length,
+          invalid: report.filter((r) => r.status === 'invalid').length,
+        };
+
+        if (mode === 'dry_run') {
+          return res.json({ ok: true, mode, summary, ignored_columns: ignoredColumns, rows: report });
+        }
+
+        // Invites are throttled like POST /students/send-invites, so they share its per-request cap
+        if (sendInvites && summary.valid > BULK_INVITE_MAX) {
+          return sendError(
+            res,
+            400,
+            'TOO_MANY_INVITES',
+            `send_invite is limited to ${BULK_INVITE_MAX} students per import; ` +
+              'import without it and use POST /students/send-invites',
+            { valid: summary.valid }
+          );
+        }
+
+        // 3) Commit: insert valid rows one by one so each row gets its own result
+        let created = 0;
+        let failed = 0;
+        let invitesSent = 0;
+        const delayMs = inviteSendDelayMs();
+
+        for (let i = 0; i < rows.length; i++) {
+          const r = rows[i];
+          const out = report[i];
+          if (out.status !== 'valid') continue;
+
+          const { data, error } = await supabase
+            .from('diploma_students')
+            .insert(r.payload)
+            .select('*')
+            .single();
+
+          if (error) {
+            console.error('CSV import insert failed', { requestId: req.requestId, row: r.line, error: error.message });
+            out.status = 'failed';
+            out.errors = [error.message];
+            failed++;
+            continue;
+          }
+
+          out.status = 'created';
+          out.student_id = data.id;
+          created++;
+
+          await recordStudentHistory({
+            supabase,
+            studentId: data.id,
+            action: 'create',
+            changes: diffStudentFields({}, r.payload),
+            actorId: req.staff?.user_id,
+            requestId: req.requestId,
+            note: `CSV import (row ${r.line})`,
+          });
+
+          out.templates = await autoApplyTierTemplates({ supabase, student: data, requestId: req.requestId });
+
+          if (sendInvites) {
+            if (invitesSent > 0 && delayMs > 0) await sleep(delayMs);
+            out.invite = await sendStudentInvite({ supabase, student: data, requestId: req.requestId });
+            invitesSent++;
+          }
+        }
+
+        return res.status(created > 0 ? 201 : 200).json({
+          ok: true,
+          mode,
+          summary: { ...summary, created, failed },
+          ignored_columns: ignoredColumns,
+          rows: report,
+        });
+      } catch (e) {
+        console.error('Student CSV import error', { requestId: req.requestId, message: e?.message });
+        return sendError(res, 500, 'SERVER_ERROR', 'Import failed');
+      }
+    }
+  );
+
+  // POST /api/diploma/admin/students/send-invites
+  // body: {
+  //   target: { student_ids?, cohort?, diploma_tier?, filters?: { missing_auth0_sub, ... }, all? },
+  //   reinvite_after_days?: number,  // skip students invited more recently than this (default 7; 0 = never skip)
+  //   include_linked?: boolean,      // also invite students who already have an auth0_sub (default false)
+  //   dry_run?: boolean              // per-student would_send / skipped without sending
+  // }
+  // Sends are sequential and throttled (DIPLOMA_INVITE_SEND_DELAY_MS); each one updates invited_at /
+  // last_invite_message_id through recordInviteStatus. At most BULK_INVITE_MAX sends per request.
+  router.post('/students/send-invites', requireAdmin, async (req, res) => {
+    try {
+      const target = req.body?.target;
+      const dryRun = isTruthyFlag(req.body?.dry_run);
+      const includeLinked = isTruthyFlag(req.body?.include_linked);
+
+      const targetError = validateStudentTarget(target);
+      if (targetError) return sendError(res, 400, 'BAD_REQUEST', targetError);
+
+      const rawDays = req.body?.reinvite_after_days;
+      const reinviteAfterDays = rawDays === undefined || rawDays === null ? DEFAULT_REINVITE_AFTER_DAYS : Number(rawDays);
+      if (!Number.isInteger(reinviteAfterDays) || reinviteAfterDays < 0 || reinviteAfterDays > 365) {
+        return sendError(res, 400, 'BAD_REQUEST', 'reinvite_after_days must be an integer between 0 and 365');
+      }
+
+      if (!dryRun && !isResendConfigured()) {
+        return sendError(res, 400, 'BAD_REQUEST', 'Resend not configured (missing RESEND_API_KEY or RESEND_FROM)');
+      }
+
+      let students;
+      try {
+        students = await resolveStudentTarget(supabase, target, {
+          columns: ['full_name', 'email', 'auth0_sub', 'invited_at'],
+          requestId: req.requestId,
+        });
+      } catch (e) {
+        console.error('Error resolving bulk invite target', { requestId: req.requestId, error: e?.message });
+        return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to resolve students');
+      }
+
+      const cutoff = Date.now() - reinviteAfterDays * 24 * 60 * 60 * 1000;
+      const results = students.map((s) => {
+        const out = { student_id: s.id, email: s.email || null, full_name: s.full_name || null, invited_at: s.invited_at || null };
+        if (!s.email) return { ...out, status: 'skipped', reason: 'No email' };
+        if (s.auth0_sub && !includeLinked) return { ...out, status: 'skipped', reason: 'Already linked' };
+        if (reinviteAfterDays > 0 && s.invited_at && new Date(s.invited_at).getTime() > cutoff) {
+          return { ...out, status: 'skipped', reason: `Invited within the last ${reinviteAfterDays} days` };
+        }
+        return { ...out, status: 'pending' };
+      });
+
+      const toSend = results.filter((r) => r.status === 'pending');
+      if (toSend.length > BULK_INVITE_MAX) {
+        return sendError(
+          res,
+          400,
+          'TOO_MANY_STUDENTS',
+          `Bulk invites are limited to ${BULK_INVITE_MAX} students per request; narrow the target`,
+          { would_send: toSend.length }
+        );
+      }
+
+      if (dryRun) {
+        toSend.forEach((r) => {
+          r.status = 'would_send';
+        });
+      } else {
+        const delayMs = inviteSendDelayMs();
+        for (let i = 0; i < toSend.length; i++) {
+          if (i > 0 && delayMs > 0) await sleep(delayMs);
+
+          const r = toSend[i];
+          const invite = await sendStudentInvite({
+            supabase,
+            student: { id: r.student_id, email: r.email, full_name: r.full_name },
+            requestId: req.requestId,
+          });
+
+          if (invite.ok) {
+            r.status = 'sent';
+            r.invited_at = new Date().toISOString();
+            r.message_id = invite.sendResult?.id ? String(invite.sendResult.id) : null;
+          } else {
+            r.status = 'failed';
+            r.error = invite.error || invite.reason || 'Invite send failed';
+          }
+        }
+      }
+
+      const count = (status) => results.filter((r) => r.status === status).length;
+      const summary = dryRun
+        ? { matched: results.length, would_send: count('would_send'), skipped: count('skipped') }
+        : { matched: results.length, sent: count('sent'), failed: count('failed'), skipped: count('skipped') };
+
+      return res.json({ ok: true, dry_run: dryRun, reinvite_after_days: reinviteAfterDays, summary, results });
+    } catch (e) {
+      console.error('Bulk invite error', { requestId: req.requestId, message: e?.message });
+      return sendError(res, 500, 'SERVER_ERROR', 'Bulk invite failed');
+    }
+  });
+
+  return router;
+};
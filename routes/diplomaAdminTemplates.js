@@ -0,0 +1,157 @@
+// routes/diplomaAdminTemplates.js
+// Admin-managed tier task templates. Mounted at /api/diploma/admin.
+const express = require('express');
+const {
+  templateSchema,
+  templatePatchSchema,
+  applyTemplateToStudent,
+} = require('../utils/diplomaTemplates');
+
+module.exports = function createDiplomaAdminTemplatesRouter({ supabase, sendError, requireAdmin }) {
+  const router = express.Router();
+
+  async function loadTemplate(req, res) {
+    const { data, error } = await supabase
+      .from('diploma_item_templates')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error loading template', { requestId: req.requestId, error: error.message });
+      sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load template');
+      return null;
+    }
+    if (!data) {
+      sendError(res, 404, 'NOT_FOUND', 'Template not found');
+      return null;
+    }
+    return data;
+  }
+
+  // GET /api/diploma/admin/templates?tier=Ivy
+  router.get('/templates', requireAdmin, async (req, res) => {
+    const tier = String(req.query.tier || '').trim();
+
+    let query = supabase
+      .from('diploma_item_templates')
+      .select('*')
+      .order('diploma_tier', { ascending: true })
+      .order('name', { ascending: true });
+
+    if (tier) query = query.eq('diploma_tier', tier);
+
+    const { data, error } = await query;
+    if (error) {
+      console.error('Error fetching templates', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch templates');
+    }
+
+    return res.json(data || []);
+  });
+
+  router.get('/templates/:id', requireAdmin, async (req, res) => {
+    const template = await loadTemplate(req, res);
+    if (!template) return;
+    return res.json(template);
+  });
+
+  // POST /api/diploma/admin/templates
+  // body: { name, diploma_tier, auto_apply?, active?, items: [{ item_type, title, body?, drive_link_url?, visible_to_student?, due_offset_days? }] }
+  router.post('/templates', requireAdmin, async (req, res) => {
+    const parsed = templateSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return sendError(res, 400, 'BAD_REQUEST', 'Invalid template', { detail: parsed.error.flatten() });
+    }
+
+    const { data, error } = await supabase
+      .from('diploma_item_templates')
+      .insert({ ...parsed.data, created_by: req.staff?.user_id || null })
+      .select('*')
+      .single();
+
+    if (error) {
+      console.error('Error creating template', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to create template');
+    }
+
+    return res.status(201).json(data);
+  });
+
+  router.patch('/templates/:id', requireAdmin, async (req, res) => {
+    const parsed = templatePatchSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return sendError(res, 400, 'BAD_REQUEST', 'Invalid template', { detail: parsed.error.flatten() });
+    }
+
+    const update = Object.fromEntries(Object.entries(parsed.data).filter(([, v]) => v !== undefined));
+    if (Object.keys(update).length === 0) {
+      return sendError(res, 400, 'BAD_REQUEST', 'No fields to update');
+    }
+
+    const { data, error } = await supabase
+      .from('diploma_item_templates')
+      .update(update)
+      .eq('id', req.params.id)
+      .select('*')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error updating template', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to update template');
+    }
+    if (!data) return sendError(res, 404, 'NOT_FOUND', 'Template not found');
+
+    return res.json(data);
+  });
+
+  // Items already created from a template stay on the students (template_id is kept for reference).
+  router.delete('/templates/:id', requireAdmin, async (req, res) => {
+    const { error } = await supabase
+      .from('diploma_item_templates')
+      .delete()
+      .eq('id', req.params.id);
+
+    if (error) {
+      console.error('Error deleting template', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to delete template');
+    }
+
+    return res.status(204).send();
+  });
+
+  // POST /api/diploma/admin/templates/:id/apply
+  // body: { student_id, force? } — force re-creates the items even if this template was applied before
+  router.post('/templates/:id/apply', requireAdmin, async (req, res) => {
+    const studentId = req.body?.student_id;
+    if (!studentId || typeof studentId !== 'string') {
+      return sendError(res, 400, 'BAD_REQUEST', 'student_id is required');
+    }
+
+    const template = await loadTemplate(req, res);
+    if (!template) return;
+
+    const { data: student, error: studentErr } = await supabase
+      .from('diploma_students')
+      .select('id, created_at, diploma_tier, archived_at')
+      .eq('id', studentId)
+      .maybeSingle();
+
+    if (studentErr) {
+      console.error('Error loading student for template', { requestId: req.requestId, error: studentErr.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load student');
+    }
+    if (!student) return sendError(res, 404, 'NOT_FOUND', 'Student not found');
+    if (student.archived_at) return sendError(res, 409, 'STUDENT_ARCHIVED', 'Student is archived');
+
+    try {
+      const result = await applyTemplateToStudent({ supabase, template, student, force: !!req.body?.force });
+      return res.status(result.created > 0 ? 201 : 200).json({ ok: true, student_id: student.id, ...result });
+    } catch (e) {
+      console.error('Error applying template', { requestId: req.requestId, error: e?.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to apply template');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,283 @@
+// routes/diplomaCalendar.js
+// iCalendar (.ics) deadline feeds. Mounted at /api/diploma.
+//
+// Calendar apps can't send an Auth0 bearer token, so each feed is reached through a secret token URL:
+//   student: GET /calendar/:token.ics        (diploma_students.calendar_token; visible items with a due date)
+//   staff:   GET /staff-calendar/:token.ics   (staff.calendar_token; every active student's deadlines, ?cohort=)
+// The authenticated GET endpoints below hand out the URL (creating the token on first use); rotating
+// or revoking replaces/clears the token, which immediately breaks any URL shared before.
+const express = require('express');
+const { randomBytes } = require('crypto');
+const { buildIcsCalendar } = require('../utils/ics');
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+// Staff feed window: deadlines older than this are left out to keep the feed small
+const STAFF_FEED_PAST_DAYS = 90;
+// PostgREST caps un-ranged selects (1000 rows by default), so the staff feed pages explicitly
+const STAFF_FEED_BATCH = 1000;
+
+function newCalendarToken() {
+  return randomBytes(24).toString('base64url');
+}
+
+function isoDaysAgo(days) {
+  const d = new Date();
+  d.setUTCDate(d.getUTCDate() - days);
+  return d.toISOString().slice(0, 10);
+}
+
+module.exports = function createDiplomaCalendarRouter({
+  supabase,
+  sendError,
+  authenticateJwt,
+  requireAdmin,
+  sendStudentArchived,
+}) {
+  const router = express.Router();
+
+  function apiBaseUrl(req) {
+    return (process.env.DIPLOMA_API_PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  }
+
+  function feedLinks(req, path, token, query = '') {
+    const url = `${apiBaseUrl(req)}/api/diploma/${path}/${token}.ics${query}`;
+    return { url, webcal_url: url.replace(/^https?:/, 'webcal:') };
+  }
+
+  function sendIcs(res, filename, body) {
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'private, max-age=900');
+    return res.send(body);
+  }
+
+  async function loadOwnStudent(req, res) {
+    const { data: student, error } = await supabase
+      .from('diploma_students')
+      .select('id, full_name, archived_at, calendar_token')
+      .eq('auth0_sub', req.user.sub)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error loading student for calendar', { requestId: req.requestId, error: error.message });
+      sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load student');
+      return null;
+    }
+    if (!student) {
+      sendError(res, 404, 'NOT_FOUND', 'Diploma student not found');
+      return null;
+    }
+    if (student.archived_at) {
+      sendStudentArchived(res);
+      return null;
+    }
+    return student;
+  }
+
+  async function setToken(table, keyColumn, keyValue, token) {
+    const { error } = await supabase.from(table).update({ calendar_token: token }).eq(keyColumn, keyValue);
+    if (error) throw new Error(error.message);
+    return token;
+  }
+
+  // ---------- Student ----------
+
+  // GET /api/diploma/me/calendar — { url, webcal_url } (creates the token on first call)
+  router.get('/me/calendar', authenticateJwt, async (req, res) => {
+    const student = await loadOwnStudent(req, res);
+    if (!student) return;
+
+    try {
+      const token = student.calendar_token || (await setToken('diploma_students', 'id', student.id, newCalendarToken()));
+      return res.json(feedLinks(req, 'calendar', token));
+    } catch (e) {
+      console.error('Error creating student calendar token', { requestId: req.requestId, message: e?.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to create calendar link');
+    }
+  });
+
+  // POST /api/diploma/me/calendar/rotate — new URL; the old one stops working
+  router.post('/me/calendar/rotate', authenticateJwt, async (req, res) => {
+    const student = await loadOwnStudent(req, res);
+    if (!student) return;
+
+    try {
+      const token = await setToken('diploma_students', 'id', student.id, newCalendarToken());
+      return res.json(feedLinks(req, 'calendar', token));
+    } catch (e) {
+      console.error('Error rotating student calendar token', { requestId: req.requestId, message: e?.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to rotate calendar link');
+    }
+  });
+
+  // DELETE /api/diploma/me/calendar — revoke without issuing a new URL
+  router.delete('/me/calendar', authenticateJwt, async (req, res) => {
+    const student = await loadOwnStudent(req, res);
+    if (!student) return;
+
+    try {
+      await setToken('diploma_students', 'id', student.id, null);
+      return res.status(204).send();
+    } catch (e) {
+      console.error('Error revoking student calendar token', { requestId: req.requestId, message: e?.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to revoke calendar link');
+    }
+  });
+
+  // GET /api/diploma/calendar/:token.ics — public, token is the credential
+  router.get('/calendar/:token.ics', async (req, res) => {
+    const { token } = req.params;
+    if (!TOKEN_PATTERN.test(token)) return sendError(res, 404, 'NOT_FOUND', 'Calendar not found');
+
+    const { data: student, error } = await supabase
+      .from('diploma_students')
+      .select('id, full_name, archived_at')
+      .eq('calendar_token', token)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error loading student calendar', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load calendar');
+    }
+    if (!student || student.archived_at) return sendError(res, 404, 'NOT_FOUND', 'Calendar not found');
+
+    // Same visibility rule as GET /api/diploma/me/items
+    const { data: items, error: itemsErr } = await supabase
+      .from('diploma_student_items')
+      .select('id, title, body, status, due_date, drive_link_url')
+      .eq('student_id', student.id)
+      .eq('visible_to_student', true)
+      .not('due_date', 'is', null)
+      .order('due_date', { ascending: true });
+
+    if (itemsErr) {
+      console.error('Error loading calendar items', { requestId: req.requestId, error: itemsErr.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load calendar');
+    }
+
+    const portalUrl = process.env.DIPLOMA_PORTAL_URL || 'https://ausa.io/diploma';
+    const body = buildIcsCalendar({
+      name: 'Access USA Diploma deadlines',
+      events: (items || []).map((item) => ({
+        uid: `item-${item.id}@diploma.ausa.io`,
+        date: item.due_date,
+        summary: item.status === 'done' ? `✓ ${item.title}` : item.title,
+        description: item.body || null,
+        url: item.drive_link_url || portalUrl,
+      })),
+    });
+
+    return sendIcs(res, 'diploma-deadlines.ics', body);
+  });
+
+  // ---------- Staff ----------
+
+  // GET /api/diploma/admin/calendar?cohort= — { url, webcal_url } for the caller's staff feed
+  router.get('/admin/calendar', requireAdmin, async (req, res) => {
+    const staffId = req.staff?.user_id;
+    if (!staffId) return sendError(res, 403, 'FORBIDDEN', 'Staff record required');
+
+    const { data: staff, error } = await supabase
+      .from('staff')
+      .select('user_id, calendar_token')
+      .eq('user_id', staffId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error loading staff calendar token', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load calendar link');
+    }
+
+    try {
+      const token = staff?.calendar_token || (await setToken('staff', 'user_id', staffId, newCalendarToken()));
+      const cohort = String(req.query.cohort || '').trim();
+      return res.json(feedLinks(req, 'staff-calendar', token, cohort ? `?cohort=${encodeURIComponent(cohort)}` : ''));
+    } catch (e) {
+      console.error('Error creating staff calendar token', { requestId: req.requestId, message: e?.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to create calendar link');
+    }
+  });
+
+  // POST /api/diploma/admin/calendar/rotate
+  router.post('/admin/calendar/rotate', requireAdmin, async (req, res) => {
+    const staffId = req.staff?.user_id;
+    if (!staffId) return sendError(res, 403, 'FORBIDDEN', 'Staff record required');
+
+    try {
+      const token = await setToken('staff', 'user_id', staffId, newCalendarToken());
+      return res.json(feedLinks(req, 'staff-calendar', token));
+    } catch (e) {
+      console.error('Error rotating staff calendar token', { requestId: req.requestId, message: e?.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to rotate calendar link');
+    }
+  });
+
+  // GET /api/diploma/staff-calendar/:token.ics?cohort=&include_done=1
+  // Open deadlines for all active (non-archived) students; done items only with include_done.
+  router.get('/staff-calendar/:token.ics', async (req, res) => {
+    const { token } = req.params;
+    if (!TOKEN_PATTERN.test(token)) return sendError(res, 404, 'NOT_FOUND', 'Calendar not found');
+
+    const { data: staff, error: staffErr } = await supabase
+      .from('staff')
+      .select('user_id, active')
+      .eq('calendar_token', token)
+      .maybeSingle();
+
+    if (staffErr) {
+      console.error('Error loading staff calendar', { requestId: req.requestId, error: staffErr.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load calendar');
+    }
+    // Deactivated staff lose their feed along with the rest of admin access
+    if (!staff || !staff.active) return sendError(res, 404, 'NOT_FOUND', 'Calendar not found');
+
+    const cohort = String(req.query.cohort || '').trim();
+    const includeDone = req.query.include_done === '1' || req.query.include_done === 'true';
+
+    const buildQuery = () => {
+      let query = supabase
+        .from('diploma_student_items')
+        .select('id, title, status, due_date, item_type, student:diploma_students!inner(id, full_name, cohort, archived_at)')
+        .not('due_date', 'is', null)
+        .gte('due_date', isoDaysAgo(STAFF_FEED_PAST_DAYS))
+        .is('student.archived_at', null);
+
+      if (cohort) query = query.eq('student.cohort', cohort);
+      if (!includeDone) query = query.neq('status', 'done');
+      return query.order('due_date', { ascending: true }).order('id', { ascending: true });
+    };
+
+    const items = [];
+    for (let from = 0; ; from += STAFF_FEED_BATCH) {
+      const { data, error } = await buildQuery().range(from, from + STAFF_FEED_BATCH - 1);
+
+      if (error) {
+        console.error('Error loading staff calendar items', { requestId: req.requestId, error: error.message });
+        return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load calendar');
+      }
+
+      const batch = Array.isArray(data) ? data : [];
+      items.push(...batch);
+      if (batch.length < STAFF_FEED_BATCH) break;
+    }
+
+    const adminBase = process.env.DIPLOMA_ADMIN_URL || 'https://ausa.io/diploma/admin';
+    const body = buildIcsCalendar({
+      name: cohort ? `Diploma deadlines – ${cohort}` : 'Diploma deadlines',
+      events: items.map((item) => ({
+        uid: `item-${item.id}@diploma.ausa.io`,
+        date: item.due_date,
+        summary: `${item.student?.full_name || 'Student'}: ${item.status === 'done' ? '✓ ' : ''}${item.title}`,
+        description: [item.student?.cohort ? `Cohort ${item.student.cohort}` : null, `Status: ${item.status || 'open'}`]
+          .filter(Boolean)
+          .join('\n'),
+        url: `${adminBase}/students/${item.student?.id}`,
+      })),
+    });
+
+    return sendIcs(res, cohort ? `diploma-deadlines-${cohort}.ics` : 'diploma-deadlines.ics', body);
+  });
+
+  return router;
+};
@@ -0,0 +1,266 @@
+// routes/diplomaItemComments.js
+// Comment threads on diploma_student_items, shared by the student portal and staff.
+// Mounted at /api/diploma:
+//   student: GET/POST /me/items/:id/comments          (never sees internal comments)
+//   staff:   GET/POST /admin/items/:itemId/comments   (internal: true = staff-only note)
+// Each non-internal comment emails the other party (best effort, never fails the request).
+const express = require('express');
+const { cleanStringOrNull, firstNameOf, isResendConfigured } = require('../utils/diplomaUtils');
+const { sendItemCommentNotice } = require('../email/sendItemCommentNotice');
+
+const COMMENT_MAX_LENGTH = 5000;
+
+module.exports = function createDiplomaItemCommentsRouter({
+  supabase,
+  sendError,
+  authenticateJwt,
+  requireAdmin,
+  loadOwnVisibleItem,
+}) {
+  const router = express.Router();
+
+  async function listComments(itemId, { includeInternal }) {
+    let query = supabase
+      .from('diploma_item_comments')
+      .select('*')
+      .eq('item_id', itemId)
+      .order('created_at', { ascending: true });
+
+    if (!includeInternal) query = query.eq('is_internal', false);
+
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  async function insertComment(payload) {
+    const { data, error } = await supabase
+      .from('diploma_item_comments')
+      .insert(payload)
+      .select('*')
+      .single();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  function readBody(req, res) {
+    const body = cleanStringOrNull(req.body?.body);
+    if (!body) {
+      sendError(res, 400, 'BAD_REQUEST', 'Comment body is required');
+      return null;
+    }
+    if (body.length > COMMENT_MAX_LENGTH) {
+      sendError(res, 400, 'BAD_REQUEST', `Comment must be at most ${COMMENT_MAX_LENGTH} characters`);
+      return null;
+    }
+    return body;
+  }
+
+  // Staff to notify about a student comment: staff who already posted in the thread,
+  // falling back to DIPLOMA_STAFF_NOTIFY_EMAIL / DIPLOMA_SUPPORT_EMAIL.
+  async function staffRecipientsFor(itemId) {
+    const { data: staffComments, error } = await supabase
+      .from('diploma_item_comments')
+      .select('author_id')
+      .eq('item_id', itemId)
+      .eq('author_type', 'staff');
+
+    if (error) throw new Error(error.message);
+
+    const ids = [...new Set((staffComments || []).map((c) => c.author_id).filter(Boolean))];
+    let emails = [];
+
+    if (ids.length > 0) {
+      const { data: staffRows, error: staffErr } = await supabase
+        .from('staff')
+        .select('user_id, email, active')
+        .in('user_id', ids);
+
+      if (staffErr) throw new Error(staffErr.message);
+      emails = (staffRows || []).filter((s) => s.active && s.email).map((s) => s.email);
+    }
+
+    if (emails.length === 0) {
+      const fallback = process.env.DIPLOMA_STAFF_NOTIFY_EMAIL || process.env.DIPLOMA_SUPPORT_EMAIL;
+      if (fallback) emails = [fallback];
+    }
+
+    return [...new Set(emails.map((e) => e.toLowerCase()))];
+  }
+
+  async function notify(requestId, recipients, notice) {
+    if (!isResendConfigured()) {
+      return { skipped: true, reason: 'Resend not configured (missing RESEND_API_KEY or RESEND_FROM)' };
+    }
+
+    const results = [];
+    for (const r of recipients) {
+      try {
+        const data = await sendItemCommentNotice({ ...notice, toEmail: r.email, greetingName: r.name });
+        results.push({ email: r.email, ok: true, id: data?.id || null });
+      } catch (e) {
+        console.error('Comment notification failed (non-fatal)', { requestId, email: r.email, message: e?.message });
+        results.push({ email: r.email, ok: false, error: e?.message || 'Send failed' });
+      }
+    }
+    return { skipped: false, results };
+  }
+
+  // The comment is saved by the time this runs: a failed lookup or send is logged and reported in
+  // `notification`, never turned into an error response (a retried POST would post the comment twice).
+  async function notifySafely(requestId, buildNotification) {
+    try {
+      return await buildNotification();
+    } catch (e) {
+      console.error('Comment notification failed (non-fatal)', { requestId, message: e?.message });
+      return { skipped: false, error: e?.message || 'Notification failed' };
+    }
+  }
+
+  // ---------- Student ----------
+
+  router.get('/me/items/:id/comments', authenticateJwt, async (req, res) => {
+    const loaded = await loadOwnVisibleItem(req, res, req.params.id);
+    if (!loaded) return;
+
+    try {
+      return res.json(await listComments(loaded.item.id, { includeInternal: false }));
+    } catch (e) {
+      console.error('Error fetching item comments', { requestId: req.requestId, error: e?.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch comments');
+    }
+  });
+
+  router.post('/me/items/:id/comments', authenticateJwt, async (req, res) => {
+    const body = readBody(req, res);
+    if (!body) return;
+
+    const loaded = await loadOwnVisibleItem(req, res, req.params.id);
+    if (!loaded) return;
+    const { item } = loaded;
+
+    try {
+      const { data: student, error: studentErr } = await supabase
+        .from('diploma_students')
+        .select('id, full_name')
+        .eq('id', item.student_id)
+        .single();
+
+      if (studentErr) throw new Error(studentErr.message);
+
+      const comment = await insertComment({
+        item_id: item.id,
+        author_type: 'student',
+        author_id: student.id,
+        author_name: student.full_name || null,
+        body,
+        is_internal: false,
+      });
+
+      const notification = await notifySafely(req.requestId, async () => {
+        const emails = await staffRecipientsFor(item.id);
+        if (emails.length === 0) return { skipped: true, reason: 'No staff recipient configured' };
+
+        const adminBase = process.env.DIPLOMA_ADMIN_URL || 'https://ausa.io/diploma/admin';
+        return notify(
+          req.requestId,
+          emails.map((email) => ({ email, name: '' })),
+          {
+            authorLabel: student.full_name || 'A student',
+            itemTitle: item.title,
+            body,
+            linkUrl: `${adminBase}/students/${student.id}`,
+          }
+        );
+      });
+
+      return res.status(201).json({ ...comment, notification });
+    } catch (e) {
+      console.error('Error posting student comment', { requestId: req.requestId, error: e?.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to post comment');
+    }
+  });
+
+  // ---------- Staff ----------
+
+  async function loadItemForStaff(req, res) {
+    const { data: item, error } = await supabase
+      .from('diploma_student_items')
+      .select('id, student_id, title, visible_to_student')
+      .eq('id', req.params.itemId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error loading item for comments', { requestId: req.requestId, error: error.message });
+      sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load student item');
+      return null;
+    }
+    if (!item) {
+      sendError(res, 404, 'NOT_FOUND', 'Item not found');
+      return null;
+    }
+    return item;
+  }
+
+  router.get('/admin/items/:itemId/comments', requireAdmin, async (req, res) => {
+    const item = await loadItemForStaff(req, res);
+    if (!item) return;
+
+    try {
+      return res.json(await listComments(item.id, { includeInternal: true }));
+    } catch (e) {
+      console.error('Error fetching admin item comments', { requestId: req.requestId, error: e?.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch comments');
+    }
+  });
+
+  router.post('/admin/items/:itemId/comments', requireAdmin, async (req, res) => {
+    const body = readBody(req, res);
+    if (!body) return;
+    const isInternal = !!req.body?.internal;
+
+    const item = await loadItemForStaff(req, res);
+    if (!item) return;
+
+    try {
+      const comment = await insertComment({
+        item_id: item.id,
+        author_type: 'staff',
+        author_id: req.staff?.user_id || null,
+        author_name: req.staff?.email || null,
+        body,
+        is_internal: isInternal,
+      });
+
+      let notification = { skipped: true, reason: isInternal ? 'Internal comment' : 'Item not visible to student' };
+
+      if (!isInternal && item.visible_to_student) {
+        notification = await notifySafely(req.requestId, async () => {
+          const { data: student, error: studentErr } = await supabase
+            .from('diploma_students')
+            .select('id, full_name, email, archived_at')
+            .eq('id', item.student_id)
+            .single();
+
+          if (studentErr) throw new Error(studentErr.message);
+
+          return student.email && !student.archived_at
+            ? notify(req.requestId, [{ email: student.email, name: firstNameOf(student.full_name) }], {
+                authorLabel: 'Your Access USA advisor',
+                itemTitle: item.title,
+                body,
+              })
+            : { skipped: true, reason: 'Student has no active email' };
+        });
+      }
+
+      return res.status(201).json({ ...comment, notification });
+    } catch (e) {
+      console.error('Error posting staff comment', { requestId: req.requestId, error: e?.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to post comment');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,124 @@
+// routes/diplomaParent.js
+// Read-only parent/guardian portal. Mounted at /api/diploma/parent.
+// A parent is anyone whose (verified) Auth0 token email matches diploma_students.parent_email;
+// one parent may have several children enrolled.
+const express = require('express');
+const { getTokenEmail, isTokenEmailVerified } = require('../utils/diplomaUtils');
+const { isVisibleToParentOf, publicAnnouncement, applyLiveAnnouncementFilters } = require('../utils/diplomaAnnouncements');
+
+// What a parent may see about a student (no auth0_sub, internal notes, invite metadata, ...)
+const PARENT_STUDENT_COLUMNS = [
+  'id',
+  'full_name',
+  'cohort',
+  'diploma_tier',
+  'drive_binder_url',
+  'drive_folder_url',
+  'has_signed_agreement',
+];
+
+const PARENT_ITEM_COLUMNS = [
+  'id',
+  'student_id',
+  'item_type',
+  'title',
+  'body',
+  'drive_link_url',
+  'due_date',
+  'status',
+  'created_at',
+  'updated_at',
+];
+
+module.exports = function createDiplomaParentRouter({ supabase, sendError, authenticateJwt }) {
+  const router = express.Router();
+
+  // Resolves req.parent = { email, students } or rejects. Runs after authenticateJwt.
+  async function requireParent(req, res, next) {
+    try {
+      const email = getTokenEmail(req.user);
+      if (!email) return sendError(res, 400, 'MISSING_EMAIL', 'Email claim required for parent access');
+      // Fail closed: tokens without a verified-email claim never match parent_email
+      if (!isTokenEmailVerified(req.user)) {
+        return sendError(res, 403, 'EMAIL_NOT_VERIFIED', 'Verify your email address to access the parent portal');
+      }
+
+      const { data: students, error } = await supabase
+        .from('diploma_students')
+        .select(PARENT_STUDENT_COLUMNS.join(','))
+        .eq('parent_email', email)
+        .is('archived_at', null)
+        .order('full_name', { ascending: true });
+
+      if (error) {
+        console.error('Error resolving parent students', { requestId: req.requestId, error: error.message });
+        return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to load students');
+      }
+
+      if (!students || students.length === 0) {
+        return sendError(res, 404, 'NOT_A_PARENT', 'No enrolled student lists this email as parent/guardian');
+      }
+
+      req.parent = { email, students };
+      next();
+    } catch (e) {
+      console.error('Parent gate exception', { requestId: req.requestId, message: e?.message });
+      return sendError(res, 500, 'SERVER_ERROR', 'Parent access check failed');
+    }
+  }
+
+  function findChild(req, studentId) {
+    return req.parent.students.find((s) => s.id === studentId) || null;
+  }
+
+  router.use(authenticateJwt, requireParent);
+
+  // GET /api/diploma/parent/students
+  router.get('/students', (req, res) => {
+    return res.json(req.parent.students);
+  });
+
+  // GET /api/diploma/parent/students/:id
+  router.get('/students/:id', (req, res) => {
+    const student = findChild(req, req.params.id);
+    if (!student) return sendError(res, 404, 'NOT_FOUND', 'Student not found');
+    return res.json(student);
+  });
+
+  // GET /api/diploma/parent/students/:id/items  (visible_to_student items only)
+  router.get('/students/:id/items', async (req, res) => {
+    const student = findChild(req, req.params.id);
+    if (!student) return sendError(res, 404, 'NOT_FOUND', 'Student not found');
+
+    const { data, error } = await supabase
+      .from('diploma_student_items')
+      .select(PARENT_ITEM_COLUMNS.join(','))
+      .eq('student_id', student.id)
+      .eq('visible_to_student', true)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching parent student items', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch items');
+    }
+
+    return res.json(data || []);
+  });
+
+  // GET /api/diploma/parent/announcements
+  // Active announcements whose audience includes any of the parent's children (student- or parent-facing).
+  router.get('/announcements', async (req, res) => {
+    const { data, error } = await applyLiveAnnouncementFilters(
+      supabase.from('diploma_announcements').select('*')
+    ).order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching parent announcements', { requestId: req.requestId, error: error.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to fetch announcements');
+    }
+
+    return res.json((data || []).filter((a) => isVisibleToParentOf(a, req.parent.students)).map(publicAnnouncement));
+  });
+
+  return router;
+};
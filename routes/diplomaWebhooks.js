@@ -0,0 +1,43 @@
+// routes/diplomaWebhooks.js
+// Inbound provider webhooks. Mounted at /api/diploma/webhooks; no Auth0 — each provider signs its requests.
+// Needs the raw request body (req.rawBody, captured by the express.json verify hook in index.js).
+//
+// Replay a recorded sample locally with scripts/replayResendWebhook.js.
+const express = require('express');
+const { verifyResendSignature, applyInviteDeliveryEvent } = require('../utils/resendWebhook');
+
+module.exports = function createDiplomaWebhooksRouter({ supabase, sendError }) {
+  const router = express.Router();
+
+  // POST /api/diploma/webhooks/resend
+  // Resend delivery events for invite emails (delivered / bounced / complained / opened).
+  // Always 200 once the signature checks out so Resend doesn't retry events we chose to ignore.
+  router.post('/resend', async (req, res) => {
+    const secret = process.env.RESEND_WEBHOOK_SECRET;
+    if (!secret) {
+      console.error('Resend webhook received but RESEND_WEBHOOK_SECRET is not set', { requestId: req.requestId });
+      return sendError(res, 503, 'WEBHOOK_NOT_CONFIGURED', 'Webhook secret not configured');
+    }
+
+    const verified = verifyResendSignature({
+      payload: req.rawBody ? req.rawBody.toString('utf8') : '',
+      headers: req.headers,
+      secret,
+    });
+    if (!verified.ok) {
+      console.error('Rejected Resend webhook', { requestId: req.requestId, reason: verified.error });
+      return sendError(res, 401, 'INVALID_SIGNATURE', 'Invalid webhook signature');
+    }
+
+    try {
+      const result = await applyInviteDeliveryEvent({ supabase, webhookId: verified.id, event: req.body });
+      return res.json({ ok: true, ...result });
+    } catch (e) {
+      // 5xx so Resend retries later
+      console.error('Error applying Resend webhook', { requestId: req.requestId, webhookId: verified.id, message: e?.message });
+      return sendError(res, 500, 'SUPABASE_ERROR', 'Failed to record delivery event');
+    }
+  });
+
+  return router;
+};
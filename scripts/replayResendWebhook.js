@@ -0,0 +1,56 @@
+// scripts/replayResendWebhook.js
+// Signs a recorded Resend webhook sample with RESEND_WEBHOOK_SECRET and POSTs it to the API,
+// exactly as Resend would.
+//
+//   node scripts/replayResendWebhook.js <delivered|bounced|complained|opened|path.json> [email_id]
+//
+// email_id replaces the sample's data.email_id; use a student's last_invite_message_id to hit them.
+// Target defaults to http://localhost:$PORT/api/diploma/webhooks/resend (override with WEBHOOK_URL).
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { signResendPayload } = require('../utils/resendWebhook');
+
+async function main() {
+  const [sample, emailId] = process.argv.slice(2);
+  if (!sample) {
+    console.error('Usage: node scripts/replayResendWebhook.js <delivered|bounced|complained|opened|path.json> [email_id]');
+    process.exit(1);
+  }
+
+  const secret = process.env.RESEND_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('RESEND_WEBHOOK_SECRET is not set');
+    process.exit(1);
+  }
+
+  const file = sample.endsWith('.json') ? sample : path.join(__dirname, 'resend-webhook-samples', `${sample}.json`);
+  const event = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (emailId) event.data.email_id = emailId;
+  event.created_at = new Date().toISOString();
+
+  const payload = JSON.stringify(event);
+  const id = `msg_${randomUUID()}`;
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const url = process.env.WEBHOOK_URL || `http://localhost:${process.env.PORT || 4000}/api/diploma/webhooks/resend`;
+
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'svix-id': id,
+      'svix-timestamp': timestamp,
+      'svix-signature': `v1,${signResendPayload({ id, timestamp, payload, secret })}`,
+    },
+    body: payload,
+  });
+
+  console.log(res.status, await res.text());
+}
+
+main().catch((e) => {
+  console.error(e?.message || e);
+  process.exit(1);
+});
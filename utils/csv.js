@@ -0,0 +1,85 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV reader/writer (quoted fields, "" escapes, CRLF/LF, embedded newlines).
+
+function parseCsvRows(text) {
+  const src = String(text || '').replace(/^\uFEFF/, ''); // strip BOM (Excel exports)
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (inQuotes) throw new Error('Unterminated quoted field');
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // drop fully blank lines
+  return rows.filter((r) => r.some((c) => c.trim() !== ''));
+}
+
+// Parse CSV text with a header row into [{ line, record }] where record keys are
+// the lower-cased, trimmed header names. `line` is the 1-based data row number.
+function parseCsvRecords(text) {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) return { headers: [], records: [] };
+
+  const headers = rows[0].map((h) => h.trim().toLowerCase());
+  const records = rows.slice(1).map((cells, idx) => {
+    const record = {};
+    headers.forEach((h, col) => {
+      if (h) record[h] = cells[col] !== undefined ? cells[col] : '';
+    });
+    return { line: idx + 1, record };
+  });
+
+  return { headers, records };
+}
+
+function toCsvValue(v) {
+  if (v === undefined || v === null) return '';
+  let s = v instanceof Date ? v.toISOString() : String(v);
+  // Neutralize spreadsheet formulas (CSV injection) for user-entered text; plain numbers/phones pass
+  if (/^[=+\-@\t\r]/.test(s) && !/^[+-]?[\d\s().-]+$/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsvLine(values) {
+  return values.map(toCsvValue).join(',') + '\r\n';
+}
+
+module.exports = { parseCsvRows, parseCsvRecords, toCsvValue, toCsvLine };
@@ -0,0 +1,280 @@
+// utils/diplomaAnnouncements.js
+// Announcement audiences.
+//
+// POST/PATCH bodies accept either a legacy audience string or an object:
+//   'all_diploma' | 'cohort_<year>'
+//   { all?: true, cohorts?: [...], diploma_tiers?: [...], student_ids?: [...], recipients?: 'students' | 'parents' | 'both' }
+// cohorts and diploma_tiers combine (AND); student_ids is an explicit list and can't be mixed with them.
+//
+// Stored on diploma_announcements as: audience ('all_diploma' | 'cohort_<year>' | 'custom'),
+// audience_cohorts, audience_tiers, audience_student_ids (arrays or null) and audience_recipients.
+// Anything expressible as a legacy string is stored that way so older rows and clients keep working.
+//
+// recipients: 'students' shows in the student portal (and the parent portal, which mirrors its children);
+// 'parents' only in the parent portal; 'both' in both.
+//
+// Lifecycle: is_draft rows are never shown; otherwise starts_at / ends_at decide scheduled | live | expired.
+
+const { ALLOWED_DIPLOMA_TIERS } = require('./diplomaUtils');
+const { parseStudentListParams, fetchAllStudentRows } = require('./diplomaStudentList');
+
+const AUDIENCE_RECIPIENTS = ['students', 'parents', 'both'];
+const MAX_AUDIENCE_STUDENTS = 1000;
+
+const ANNOUNCEMENT_STATUSES = ['draft', 'scheduled', 'live', 'expired'];
+
+function announcementStatus(a, nowIso = new Date().toISOString()) {
+  if (a.is_draft) return 'draft';
+  if (a.starts_at && a.starts_at > nowIso) return 'scheduled';
+  if (a.ends_at && a.ends_at <= nowIso) return 'expired';
+  return 'live';
+}
+
+// Portal-side filters: published and inside the starts_at / ends_at window
+function applyLiveAnnouncementFilters(query, nowIso = new Date().toISOString()) {
+  return query
+    .not('is_draft', 'is', true)
+    .lte('starts_at', nowIso)
+    .or(`ends_at.is.null,ends_at.gt.${nowIso}`);
+}
+
+// Admin-side filter for one lifecycle status
+function applyAnnouncementStatusFilter(query, status, nowIso = new Date().toISOString()) {
+  if (status === 'draft') return query.eq('is_draft', true);
+
+  const published = query.not('is_draft', 'is', true);
+  if (status === 'scheduled') return published.gt('starts_at', nowIso);
+  if (status === 'expired') return published.lte('ends_at', nowIso);
+  return applyLiveAnnouncementFilters(query, nowIso);
+}
+
+// Optional timestamp body field -> { value: ISO string | null | undefined, error }
+function parseTimestamp(value, field) {
+  if (value === undefined) return { value: undefined, error: null };
+  if (value === null || value === '') return { value: null, error: null };
+
+  const d = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(d.getTime())) {
+    return { value: null, error: `${field} must be an ISO date/time` };
+  }
+  return { value: d.toISOString(), error: null };
+}
+
+function validateAnnouncementWindow(startsAt, endsAt) {
+  if (startsAt && endsAt && new Date(endsAt).getTime() <= new Date(startsAt).getTime()) {
+    return 'ends_at must be after starts_at';
+  }
+  return null;
+}
+
+function cleanStringList(value) {
+  if (!Array.isArray(value)) return null;
+  const list = value.map((v) => (typeof v === 'string' || typeof v === 'number' ? String(v).trim() : '')).filter(Boolean);
+  return [...new Set(list)];
+}
+
+// Validate + normalize an audience body value. Returns { fields, error } where fields are the DB columns.
+function parseAnnouncementAudience(input) {
+  if (input === undefined || input === null || input === '' || input === 'all_diploma') {
+    return { fields: audienceFields({ audience: 'all_diploma' }), error: null };
+  }
+
+  if (typeof input === 'string') {
+    const m = /^cohort_(\d{4})$/.exec(input.trim());
+    if (m) return { fields: audienceFields({ audience: `cohort_${m[1]}` }), error: null };
+    return { fields: null, error: "audience must be 'all_diploma', 'cohort_<year>' or an audience object" };
+  }
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { fields: null, error: 'audience must be a string or an object' };
+  }
+
+  const { all, cohorts, diploma_tiers, student_ids, recipients = 'students' } = input;
+
+  if (!AUDIENCE_RECIPIENTS.includes(recipients)) {
+    return { fields: null, error: 'audience.recipients must be one of: students | parents | both' };
+  }
+
+  const lists = {};
+  for (const [key, value] of [['cohorts', cohorts], ['diploma_tiers', diploma_tiers], ['student_ids', student_ids]]) {
+    if (value === undefined || value === null) continue;
+    const list = cleanStringList(value);
+    if (!list || list.length === 0) return { fields: null, error: `audience.${key} must be a non-empty array` };
+    lists[key] = list;
+  }
+
+  if (lists.cohorts) {
+    const bad = lists.cohorts.filter((c) => !/^\d{4}$/.test(c));
+    if (bad.length) {
+      return { fields: null, error: `audience.cohorts must be 4-digit years (e.g., 2026): ${bad.join(', ')}` };
+    }
+  }
+
+  if (lists.diploma_tiers) {
+    const bad = lists.diploma_tiers.filter((t) => !ALLOWED_DIPLOMA_TIERS.has(t));
+    if (bad.length) {
+      return { fields: null, error: `Unknown diploma tier(s): ${bad.join(', ')} (allowed: Targeted | Platinum | Diamond | Ivy)` };
+    }
+  }
+
+  if (lists.student_ids) {
+    if (lists.cohorts || lists.diploma_tiers) {
+      return { fields: null, error: 'audience.student_ids cannot be combined with cohorts or diploma_tiers' };
+    }
+    if (lists.student_ids.length > MAX_AUDIENCE_STUDENTS) {
+      return { fields: null, error: `audience.student_ids is limited to ${MAX_AUDIENCE_STUDENTS} students` };
+    }
+  }
+
+  const hasCriteria = !!(lists.cohorts || lists.diploma_tiers || lists.student_ids);
+  if (!hasCriteria && all !== true) {
+    return { fields: null, error: 'audience must set cohorts, diploma_tiers, student_ids or all: true' };
+  }
+  if (hasCriteria && all === true) {
+    return { fields: null, error: 'audience.all cannot be combined with other criteria' };
+  }
+
+  // Keep the legacy string form where possible
+  if (recipients === 'students' && !lists.diploma_tiers && !lists.student_ids) {
+    if (!lists.cohorts) return { fields: audienceFields({ audience: 'all_diploma' }), error: null };
+    if (lists.cohorts.length === 1) return { fields: audienceFields({ audience: `cohort_${lists.cohorts[0]}` }), error: null };
+  }
+
+  return {
+    fields: audienceFields({
+      audience: hasCriteria ? 'custom' : 'all_diploma',
+      cohorts: lists.cohorts,
+      tiers: lists.diploma_tiers,
+      studentIds: lists.student_ids,
+      recipients,
+    }),
+    error: null,
+  };
+}
+
+function audienceFields({ audience, cohorts = null, tiers = null, studentIds = null, recipients = 'students' }) {
+  return {
+    audience,
+    audience_cohorts: cohorts,
+    audience_tiers: tiers,
+    audience_student_ids: studentIds,
+    audience_recipients: recipients,
+  };
+}
+
+function audienceRecipients(a) {
+  return AUDIENCE_RECIPIENTS.includes(a?.audience_recipients) ? a.audience_recipients : 'students';
+}
+
+// Does the announcement's audience include this student (cohort / diploma_tier / id)?
+function audienceIncludesStudent(a, student) {
+  if (!a || !student) return false;
+
+  if (a.audience === 'all_diploma') return true;
+  if (typeof a.audience === 'string' && a.audience.startsWith('cohort_')) {
+    return !!student.cohort && a.audience === `cohort_${student.cohort}`;
+  }
+  if (a.audience !== 'custom') return false;
+
+  if (Array.isArray(a.audience_student_ids) && a.audience_student_ids.length) {
+    return a.audience_student_ids.includes(student.id);
+  }
+
+  const cohortOk = !a.audience_cohorts?.length || a.audience_cohorts.includes(String(student.cohort ?? ''));
+  const tierOk = !a.audience_tiers?.length || a.audience_tiers.includes(student.diploma_tier);
+  return cohortOk && tierOk;
+}
+
+// Student portal: audiences aimed at students
+function isVisibleToStudent(a, student) {
+  return audienceRecipients(a) !== 'parents' && audienceIncludesStudent(a, student);
+}
+
+// Parent portal: anything aimed at one of their children (it mirrors the student view) or at parents
+function isVisibleToParentOf(a, students) {
+  return (students || []).some((s) => audienceIncludesStudent(a, s));
+}
+
+// Strip targeting details that students/parents shouldn't see (other students' ids)
+function publicAnnouncement(a) {
+  if (!a) return a;
+  const { audience_student_ids, ...rest } = a;
+  return rest;
+}
+
+const RECIPIENT_STUDENT_COLUMNS = ['id', 'full_name', 'email', 'cohort', 'diploma_tier', 'parent_name', 'parent_email'];
+
+// Active (non-archived) students in the audience, plus who would receive it:
+// { students: [...], recipients: [{ student_id, type: 'student' | 'parent', email, name }] }
+async function resolveAnnouncementAudience(supabase, a) {
+  const params = parseStudentListParams({});
+  if (a.audience === 'custom' && Array.isArray(a.audience_student_ids) && a.audience_student_ids.length) {
+    params.ids = a.audience_student_ids;
+  }
+
+  const rows = await fetchAllStudentRows(supabase, params, { columns: RECIPIENT_STUDENT_COLUMNS });
+  const students = rows.filter((s) => audienceIncludesStudent(a, s));
+
+  const mode = audienceRecipients(a);
+  const recipients = [];
+  students.forEach((s) => {
+    if (mode !== 'parents' && s.email) {
+      recipients.push({ student_id: s.id, type: 'student', email: s.email, name: s.full_name || '' });
+    }
+    if (mode !== 'students' && s.parent_email) {
+      recipients.push({ student_id: s.id, type: 'parent', email: s.parent_email, name: s.parent_name || '' });
+    }
+  });
+
+  return { students, recipients };
+}
+
+// ---- Read receipts (diploma_announcement_reads: announcement_id, student_id, read_at, acknowledged_at) ----
+// Tracked for students only; parent-only announcements have no student audience to track.
+
+const READS_BATCH = 1000;
+
+async function fetchAnnouncementReads(supabase, announcementId) {
+  const all = [];
+  for (let from = 0; ; from += READS_BATCH) {
+    const { data, error } = await supabase
+      .from('diploma_announcement_reads')
+      .select('student_id, read_at, acknowledged_at')
+      .eq('announcement_id', announcementId)
+      .order('read_at', { ascending: true })
+      // Tiebreak so pages stay stable when read_at repeats (rows are unique per announcement + student)
+      .order('student_id', { ascending: true })
+      .range(from, from + READS_BATCH - 1);
+
+    if (error) throw new Error(error.message);
+
+    const batch = Array.isArray(data) ? data : [];
+    all.push(...batch);
+    if (batch.length < READS_BATCH) return all;
+  }
+}
+
+// Student audience of an announcement (empty when it's aimed at parents only)
+async function resolveStudentAudience(supabase, a) {
+  if (audienceRecipients(a) === 'parents') return [];
+  const { students } = await resolveAnnouncementAudience(supabase, a);
+  return students;
+}
+
+module.exports = {
+  AUDIENCE_RECIPIENTS,
+  ANNOUNCEMENT_STATUSES,
+  announcementStatus,
+  applyLiveAnnouncementFilters,
+  applyAnnouncementStatusFilter,
+  parseTimestamp,
+  validateAnnouncementWindow,
+  parseAnnouncementAudience,
+  audienceIncludesStudent,
+  isVisibleToStudent,
+  isVisibleToParentOf,
+  publicAnnouncement,
+  resolveAnnouncementAudience,
+  fetchAnnouncementReads,
+  resolveStudentAudience,
+};
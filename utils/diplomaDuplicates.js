@@ -0,0 +1,148 @@
+// utils/diplomaDuplicates.js
+// Likely-duplicate diploma students (e.g. created once with a personal and once with a school address).
+//
+// A pair is reported when it has
+//   - the same normalized email (case, "+tag", and dots for Gmail ignored)              -> high
+//   - a shared parent_email and names at least NAME_LOOSE_MATCH similar                   -> high / medium
+//   - names at least NAME_MATCH similar                                                   -> medium
+// Siblings share a parent email, so a shared parent email alone is not enough.
+// Names are compared as bigram (Dice) similarity of the lowercased, accent-free letters with the
+// words sorted, so "Lee, Ann" / "ann lee" / "Ánn  Lee" all match.
+// Only students sharing a bucket are compared: the same normalized email, the same parent email, or a
+// common name word (NAME_KEY_MIN_LENGTH+ letters), so whole-school scans stay cheap.
+
+const NAME_MATCH = 0.85;
+const NAME_LOOSE_MATCH = 0.6;
+const NAME_KEY_MIN_LENGTH = 2;
+
+const GMAIL_DOMAINS = new Set(['gmail.com', 'googlemail.com']);
+
+function normalizeEmail(email) {
+  const s = String(email || '').trim().toLowerCase();
+  const at = s.lastIndexOf('@');
+  if (at <= 0) return s || null;
+
+  let local = s.slice(0, at).split('+')[0];
+  let domain = s.slice(at + 1);
+  if (GMAIL_DOMAINS.has(domain)) {
+    local = local.replaceAll('.', '');
+    domain = 'gmail.com';
+  }
+  return `${local}@${domain}`;
+}
+
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+}
+
+function bigrams(s) {
+  const grams = new Map();
+  for (let i = 0; i < s.length - 1; i++) {
+    const g = s.slice(i, i + 2);
+    grams.set(g, (grams.get(g) || 0) + 1);
+  }
+  return grams;
+}
+
+// Dice coefficient of two pre-computed bigram maps (0..1)
+function diceSimilarity(a, b, aSize, bSize) {
+  if (aSize === 0 || bSize === 0) return 0;
+  let overlap = 0;
+  a.forEach((count, g) => {
+    overlap += Math.min(count, b.get(g) || 0);
+  });
+  return (2 * overlap) / (aSize + bSize);
+}
+
+// Index pairs [i, j] (i < j) of rows that share at least one bucket, each pair once
+function candidatePairs(rows) {
+  const buckets = new Map();
+  const add = (key, index) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(index);
+  };
+
+  rows.forEach((r, index) => {
+    if (r.email) add(`email:${r.email}`, index);
+    if (r.parentEmail) add(`parent:${r.parentEmail}`, index);
+    new Set(r.name.split(' ')).forEach((word) => {
+      if (word.length >= NAME_KEY_MIN_LENGTH) add(`name:${word}`, index);
+    });
+  });
+
+  const seen = new Set();
+  const pairs = [];
+  buckets.forEach((indexes) => {
+    for (let x = 0; x < indexes.length; x++) {
+      for (let y = x + 1; y < indexes.length; y++) {
+        const key = `${indexes[x]}:${indexes[y]}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        pairs.push([indexes[x], indexes[y]]);
+      }
+    }
+  });
+  return pairs;
+}
+
+// students: rows with id, full_name, email, parent_email. Returns pairs, most confident first:
+// [{ student_ids: [a, b], students: [rowA, rowB], confidence, reasons: [...], name_similarity }]
+function findDuplicatePairs(students) {
+  const rows = (students || []).map((s) => {
+    const name = normalizeName(s.full_name);
+    return {
+      student: s,
+      email: normalizeEmail(s.email),
+      parentEmail: normalizeEmail(s.parent_email),
+      name,
+      grams: bigrams(name),
+      gramCount: Math.max(0, name.length - 1),
+    };
+  });
+
+  const pairs = [];
+  for (const [i, j] of candidatePairs(rows)) {
+    const a = rows[i];
+    const b = rows[j];
+
+    const sameEmail = !!a.email && a.email === b.email;
+    const sharedParent = !!a.parentEmail && a.parentEmail === b.parentEmail;
+    const similarity =
+      a.name && b.name ? (a.name === b.name ? 1 : diceSimilarity(a.grams, b.grams, a.gramCount, b.gramCount)) : 0;
+
+    const reasons = [];
+    if (sameEmail) reasons.push('same_normalized_email');
+    if (sharedParent && similarity >= NAME_LOOSE_MATCH) reasons.push('shared_parent_email');
+    if (similarity >= NAME_MATCH) reasons.push('similar_name');
+    if (reasons.length === 0) continue;
+
+    const high = sameEmail || (reasons.includes('shared_parent_email') && similarity >= NAME_MATCH);
+    pairs.push({
+      student_ids: [a.student.id, b.student.id],
+      students: [a.student, b.student],
+      confidence: high ? 'high' : 'medium',
+      reasons,
+      name_similarity: Math.round(similarity * 100) / 100,
+    });
+  }
+
+  return pairs.sort((x, y) => {
+    if (x.confidence !== y.confidence) return x.confidence === 'high' ? -1 : 1;
+    if (x.reasons.length !== y.reasons.length) return y.reasons.length - x.reasons.length;
+    return y.name_similarity - x.name_similarity;
+  });
+}
+
+module.exports = {
+  normalizeEmail,
+  normalizeName,
+  findDuplicatePairs,
+};
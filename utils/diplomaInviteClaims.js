@@ -0,0 +1,76 @@
+// utils/diplomaInviteClaims.js
+// Invite claim tokens: the welcome email carries a single-use link that attaches whichever Auth0
+// login opens it to the invited student, so students who sign in with another address (e.g. Google)
+// can still link their record. POST /api/diploma/me/claim-invite redeems it.
+//
+// diploma_invite_claims: { id, student_id, token_hash, expires_at, created_by, created_at,
+//                          claimed_at, claimed_sub, revoked_at }
+// Only a SHA-256 of the token is stored. Once a new invite email has gone out, the student's older unclaimed
+// tokens are revoked (revokeOlderInviteClaims), so only the latest email works; a failed send leaves the
+// previous link usable. Changing the student's email, archiving or merging them away revokes all of their
+// open tokens. Lifetime: DIPLOMA_INVITE_CLAIM_TTL_DAYS (default 14).
+
+const { createHash, randomBytes } = require('crypto');
+
+const CLAIM_TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+function claimTtlDays() {
+  const days = parseInt(process.env.DIPLOMA_INVITE_CLAIM_TTL_DAYS || '14', 10);
+  return Number.isInteger(days) && days > 0 ? Math.min(days, 90) : 14;
+}
+
+function hashClaimToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+function isClaimTokenFormat(token) {
+  return typeof token === 'string' && CLAIM_TOKEN_PATTERN.test(token);
+}
+
+function buildClaimUrl(token) {
+  const base = (process.env.DIPLOMA_PORTAL_URL || 'https://ausa.io/diploma').replace(/\/+$/, '');
+  return `${base}/claim?token=${encodeURIComponent(token)}`;
+}
+
+// Returns { id, token, claim_url, expires_at }. Throws.
+async function issueInviteClaim({ supabase, studentId, createdBy = null }) {
+  const token = randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + claimTtlDays() * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from('diploma_invite_claims')
+    .insert({
+      student_id: studentId,
+      token_hash: hashClaimToken(token),
+      expires_at: expiresAt,
+      created_by: createdBy,
+    })
+    .select('id')
+    .single();
+
+  if (error) throw new Error(error.message);
+
+  return { id: data.id, token, claim_url: buildClaimUrl(token), expires_at: expiresAt };
+}
+
+// Revokes the student's unclaimed tokens other than keepClaimId (all of them when it is omitted).
+// Call after the new invite was sent, or when the address the tokens went to stops being valid. Throws.
+async function revokeOlderInviteClaims({ supabase, studentId, keepClaimId }) {
+  let query = supabase
+    .from('diploma_invite_claims')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('student_id', studentId);
+  if (keepClaimId) query = query.neq('id', keepClaimId);
+
+  const { error } = await query.is('claimed_at', null).is('revoked_at', null);
+
+  if (error) throw new Error(error.message);
+}
+
+module.exports = {
+  claimTtlDays,
+  hashClaimToken,
+  isClaimTokenFormat,
+  issueInviteClaim,
+  revokeOlderInviteClaims,
+};
@@ -0,0 +1,164 @@
+// utils/diplomaItems.js
+// Status workflow for diploma_student_items.
+//
+//   open ──submit──▶ submitted ──approve──▶ done
+//     ▲                 │
+//     │            needs_revision ──submit──▶ submitted
+//     └──── reopen / withdraw ─────┘
+//
+// Every status change is logged to diploma_item_status_events so both portals can show a timeline.
+
+const ITEM_TYPES = ['task', 'note', 'resource'];
+const ITEM_STATUSES = ['open', 'submitted', 'needs_revision', 'done'];
+
+// toStatus -> statuses a student may move an item *from*
+const STUDENT_TRANSITIONS = {
+  done: ['open'],
+  open: ['done', 'submitted'],
+  submitted: ['open', 'needs_revision'],
+};
+
+// Joined into item selects so the timeline travels with the item
+const ITEM_WITH_EVENTS_SELECT = '*, status_events:diploma_item_status_events(*)';
+
+const ITEM_TYPE_ERROR = 'item_type must be one of: task | note | resource';
+
+// milestone_id links an item to a diploma_milestones row (see utils/diplomaMilestones.js); null unlinks
+const MILESTONE_ID_ERROR = 'milestone_id must be a milestone id or null';
+
+function isMilestoneIdValue(v) {
+  return v === undefined || v === null || (typeof v === 'string' && v.trim() !== '');
+}
+
+// Validate + normalize a new item body (single create + bulk assign). Returns { payload, error }.
+function buildItemInsert(body = {}) {
+  const { item_type, title, body: itemBody, drive_link_url, due_date, visible_to_student, milestone_id } = body;
+
+  if (!ITEM_TYPES.includes(item_type)) return { payload: null, error: ITEM_TYPE_ERROR };
+  if (!isMilestoneIdValue(milestone_id)) return { payload: null, error: MILESTONE_ID_ERROR };
+
+  if (!title || typeof title !== 'string' || !title.trim()) {
+    return { payload: null, error: 'Title is required' };
+  }
+
+  return {
+    payload: {
+      item_type,
+      title: title.trim(),
+      body: itemBody && typeof itemBody === 'string' ? itemBody.trim() : null,
+      drive_link_url: drive_link_url && typeof drive_link_url === 'string' ? drive_link_url.trim() : null,
+      due_date: due_date || null,
+      visible_to_student: !!visible_to_student,
+      milestone_id: milestone_id || null,
+      created_by_admin: true,
+    },
+    error: null,
+  };
+}
+
+// Content fields staff may edit on an existing item (single PATCH + batch PATCH). Returns { update, error }.
+function buildItemUpdate(body = {}) {
+  const { title, body: itemBody, drive_link_url, due_date, visible_to_student, item_type, milestone_id } = body;
+  const update = {};
+
+  if (title !== undefined) update.title = title;
+  if (itemBody !== undefined) update.body = itemBody;
+  if (drive_link_url !== undefined) update.drive_link_url = drive_link_url || null;
+  if (due_date !== undefined) update.due_date = due_date || null;
+  if (visible_to_student !== undefined) update.visible_to_student = !!visible_to_student;
+
+  if (item_type !== undefined) {
+    if (!ITEM_TYPES.includes(item_type)) return { update: null, error: ITEM_TYPE_ERROR };
+    update.item_type = item_type;
+  }
+
+  if (milestone_id !== undefined) {
+    if (!isMilestoneIdValue(milestone_id)) return { update: null, error: MILESTONE_ID_ERROR };
+    update.milestone_id = milestone_id || null;
+  }
+
+  return { update, error: null };
+}
+
+function canStudentTransition(fromStatus, toStatus) {
+  return (STUDENT_TRANSITIONS[toStatus] || []).includes(fromStatus || 'open');
+}
+
+// Completion metadata that must stay in step with status
+function completionFields(toStatus, actorType, actorId) {
+  if (toStatus === 'done') {
+    return {
+      completed_at: new Date().toISOString(),
+      completed_by_type: actorType,
+      completed_by: actorId || null,
+    };
+  }
+  return { completed_at: null, completed_by_type: null, completed_by: null };
+}
+
+function sortStatusEvents(item) {
+  if (!item || !Array.isArray(item.status_events)) return item;
+  return {
+    ...item,
+    status_events: item.status_events
+      .slice()
+      .sort((a, b) => new Date(a.created_at).getTime() - new Date(b.created_at).getTime()),
+  };
+}
+
+// The item was selected before its new event was inserted: add the event to the returned timeline
+function withStatusEvent(item, event) {
+  if (!item || !event) return item;
+  const events = Array.isArray(item.status_events) ? item.status_events : [];
+  if (events.some((e) => e.id === event.id)) return item;
+  return { ...item, status_events: [...events, event] };
+}
+
+// Non-fatal, like student history: the status change itself already happened. Returns the event row or null.
+async function recordItemStatusEvent({
+  supabase,
+  itemId,
+  fromStatus,
+  toStatus,
+  actorType,
+  actorId,
+  note,
+  linkUrl,
+  requestId,
+}) {
+  try {
+    const { data, error } = await supabase
+      .from('diploma_item_status_events')
+      .insert({
+        item_id: itemId,
+        from_status: fromStatus || null,
+        to_status: toStatus,
+        actor_type: actorType,
+        actor_id: actorId || null,
+        note: note || null,
+        link_url: linkUrl || null,
+        request_id: requestId || null,
+      })
+      .select('*')
+      .single();
+
+    if (error) throw new Error(error.message);
+    return data;
+  } catch (e) {
+    console.error('Failed to record item status event', { requestId, itemId, toStatus, message: e?.message });
+    return null;
+  }
+}
+
+module.exports = {
+  ITEM_TYPES,
+  ITEM_STATUSES,
+  ITEM_WITH_EVENTS_SELECT,
+  buildItemInsert,
+  buildItemUpdate,
+  canStudentTransition,
+  completionFields,
+  sortStatusEvents,
+  withStatusEvent,
+  recordItemStatusEvent,
+};
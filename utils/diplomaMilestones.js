@@ -0,0 +1,195 @@
+// utils/diplomaMilestones.js
+// Diploma milestones: the required steps of the program for each diploma_tier.
+//
+// diploma_milestones: { id, diploma_tier, title, description, position, active }
+// A student's milestone is complete when either
+//   - staff marked it complete (diploma_student_milestones: student_id, milestone_id, completed_at, completed_by, note), or
+//   - the student has items linked to it (diploma_student_items.milestone_id) and every one of them is done.
+// completion_pct = completed / active milestones for the student's tier (null when the tier has none).
+
+const { z } = require('zod');
+const { ALLOWED_DIPLOMA_TIERS } = require('./diplomaUtils');
+
+const milestoneFields = z.object({
+  diploma_tier: z
+    .string()
+    .refine((t) => ALLOWED_DIPLOMA_TIERS.has(t), 'Diploma Tier must be one of: Targeted | Platinum | Diamond | Ivy'),
+  title: z.string().trim().min(1),
+  description: z.string().trim().nullable().optional(),
+  position: z.number().int().min(0).max(1000),
+  active: z.boolean(),
+});
+
+// Defaults only on create; a PATCH must not reset fields it didn't send
+const milestoneSchema = milestoneFields.extend({
+  position: z.number().int().min(0).max(1000).default(0),
+  active: z.boolean().default(true),
+});
+
+const milestonePatchSchema = milestoneFields.partial();
+
+// Keeps .in() filters well under URL length limits
+const ID_CHUNK = 200;
+const PAGE_SIZE = 1000;
+
+async function fetchTierMilestones(supabase, tiers) {
+  const list = [...new Set((tiers || []).filter(Boolean))];
+  if (list.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('diploma_milestones')
+    .select('*')
+    .in('diploma_tier', list)
+    .eq('active', true)
+    .order('position', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+// Rows of `table` for the given students, chunked by id and paged past the PostgREST row cap
+async function fetchRowsForStudents(supabase, table, columns, studentIds, applyFilters = (q) => q) {
+  const all = [];
+  for (let i = 0; i < studentIds.length; i += ID_CHUNK) {
+    const ids = studentIds.slice(i, i + ID_CHUNK);
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await applyFilters(supabase.from(table).select(columns).in('student_id', ids))
+        .order('id', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw new Error(error.message);
+
+      const batch = Array.isArray(data) ? data : [];
+      all.push(...batch);
+      if (batch.length < PAGE_SIZE) break;
+    }
+  }
+  return all;
+}
+
+function groupBy(rows, key) {
+  const map = new Map();
+  rows.forEach((r) => {
+    if (!map.has(r[key])) map.set(r[key], []);
+    map.get(r[key]).push(r);
+  });
+  return map;
+}
+
+// Pure: one student's progress from their tier's milestones, linked items and manual completions
+function computeMilestoneProgress(milestones, items = [], manualRows = []) {
+  const manual = new Map(manualRows.map((r) => [r.milestone_id, r]));
+  const linked = groupBy(items.filter((i) => i.milestone_id), 'milestone_id');
+
+  const rows = milestones.map((m) => {
+    const mine = linked.get(m.id) || [];
+    const done = mine.filter((i) => i.status === 'done');
+    const manualRow = manual.get(m.id);
+    const itemsComplete = mine.length > 0 && done.length === mine.length;
+
+    // Item-completed milestones date from their last linked item
+    let completedAt = null;
+    if (manualRow) completedAt = manualRow.completed_at || null;
+    else if (itemsComplete) {
+      completedAt = done.map((i) => i.completed_at).filter(Boolean).sort().pop() || null;
+    }
+
+    return {
+      ...m,
+      completed: !!manualRow || itemsComplete,
+      completed_via: manualRow ? 'manual' : itemsComplete ? 'items' : null,
+      completed_at: completedAt,
+      completed_by: manualRow?.completed_by || null,
+      note: manualRow?.note || null,
+      linked_items: { total: mine.length, done: done.length },
+    };
+  });
+
+  const completed = rows.filter((r) => r.completed).length;
+  return {
+    completion_pct: rows.length ? Math.round((completed / rows.length) * 100) : null,
+    completed,
+    total: rows.length,
+    milestones: rows,
+  };
+}
+
+// student -> { completion_pct, completed, total, milestones: [...] }. Throws.
+async function fetchStudentMilestoneProgress(supabase, student) {
+  const milestones = await fetchTierMilestones(supabase, [student.diploma_tier]);
+  if (milestones.length === 0) return computeMilestoneProgress([]);
+
+  const [items, manualRows] = await Promise.all([
+    fetchRowsForStudents(supabase, 'diploma_student_items', 'id, milestone_id, status, completed_at', [student.id], (q) =>
+      q.not('milestone_id', 'is', null)
+    ),
+    fetchRowsForStudents(supabase, 'diploma_student_milestones', '*', [student.id]),
+  ]);
+
+  return computeMilestoneProgress(milestones, items, manualRows);
+}
+
+// What the student portal shows: no staff ids / notes / completion mechanics
+function studentMilestoneProgress(progress) {
+  return {
+    completion_pct: progress.completion_pct,
+    completed: progress.completed,
+    total: progress.total,
+    milestones: progress.milestones.map((m) => ({
+      id: m.id,
+      title: m.title,
+      description: m.description || null,
+      position: m.position,
+      completed: m.completed,
+      completed_at: m.completed_at,
+    })),
+  };
+}
+
+// Adds completion_pct / milestones_completed / milestones_total to student list rows (needs id + diploma_tier).
+// Non-fatal like the rollup merge: on failure the columns come back null.
+async function mergeMilestoneProgress(supabase, rows, { requestId } = {}) {
+  const safeRows = Array.isArray(rows) ? rows : [];
+  const empty = { completion_pct: null, milestones_completed: null, milestones_total: null };
+  if (safeRows.length === 0) return safeRows;
+
+  try {
+    const milestones = await fetchTierMilestones(supabase, safeRows.map((s) => s.diploma_tier));
+    const byTier = groupBy(milestones, 'diploma_tier');
+
+    const ids = safeRows.filter((s) => byTier.has(s.diploma_tier)).map((s) => s.id);
+    const [items, manualRows] = ids.length
+      ? await Promise.all([
+          fetchRowsForStudents(supabase, 'diploma_student_items', 'id, student_id, milestone_id, status', ids, (q) =>
+            q.not('milestone_id', 'is', null)
+          ),
+          fetchRowsForStudents(supabase, 'diploma_student_milestones', 'id, student_id, milestone_id', ids),
+        ])
+      : [[], []];
+
+    const itemsByStudent = groupBy(items, 'student_id');
+    const manualByStudent = groupBy(manualRows, 'student_id');
+
+    return safeRows.map((s) => {
+      const p = computeMilestoneProgress(
+        byTier.get(s.diploma_tier) || [],
+        itemsByStudent.get(s.id),
+        manualByStudent.get(s.id)
+      );
+      return { ...s, completion_pct: p.completion_pct, milestones_completed: p.completed, milestones_total: p.total };
+    });
+  } catch (e) {
+    console.error('Milestone progress merge failed', { requestId, message: e?.message });
+    return safeRows.map((s) => ({ ...s, ...empty }));
+  }
+}
+
+module.exports = {
+  milestoneSchema,
+  milestonePatchSchema,
+  computeMilestoneProgress,
+  fetchStudentMilestoneProgress,
+  studentMilestoneProgress,
+  mergeMilestoneProgress,
+};
@@ -0,0 +1,303 @@
+// utils/diplomaStudentList.js
+// Filter/sort logic for GET /api/diploma/admin/students, shared with the CSV/XLSX export.
+
+const { mergeMilestoneProgress } = require('./diplomaMilestones');
+const { INVITE_DELIVERY_STATUSES } = require('./resendWebhook');
+
+const STUDENT_LIST_COLUMNS = [
+  'id',
+  'full_name',
+  'email',
+  'cohort',
+  'auth0_sub',
+  'drive_binder_url',
+  'drive_folder_url',
+  'created_at',
+  'updated_at',
+  'diploma_tier',
+  'has_signed_agreement',
+  'invited_at',
+  'last_invite_message_id',
+  'invite_delivery_status',
+  'invite_delivery_status_at',
+  'archived_at',
+];
+
+const DERIVED_SORT_ALLOW = new Set(['items_count', 'overdue_count', 'last_activity_at', 'completion_pct']);
+const DB_SORT_ALLOW = new Set(['full_name', 'email', 'cohort', 'created_at', 'updated_at']);
+
+const EMPTY_ROLLUP = { items_count: 0, overdue_count: 0, last_activity_at: null };
+
+// PostgREST caps un-ranged selects (1000 rows by default), so "fetch everything" pages explicitly.
+const FETCH_ALL_BATCH = 1000;
+// Explicit id lists go into the URL (.in('id', ...)); keep each request well under URL length limits
+const ID_CHUNK = 200;
+
+function isFlagOn(v) {
+  return v === '1' || v === 'true';
+}
+
+function parseInviteStatus(v) {
+  const s = String(v || '').trim();
+  return s === 'none' || INVITE_DELIVERY_STATUSES.includes(s) ? s : '';
+}
+
+function parseStudentListParams(query = {}) {
+  const requestedSort = String(query.sort || '');
+
+  return {
+    q: String(query.q || query.query || '').trim(),
+    cohort: String(query.cohort || '').trim(),
+    tier: String(query.diploma_tier || '').trim(),
+
+    page: Math.max(1, Number(query.page || 1)),
+    pageSize: Math.min(100, Math.max(1, Number(query.pageSize || 25))),
+
+    requestedSort,
+    dir: query.dir === 'desc' ? 'desc' : 'asc',
+    dbSort: DB_SORT_ALLOW.has(requestedSort) ? requestedSort : 'full_name',
+    sortKey:
+      requestedSort && (DB_SORT_ALLOW.has(requestedSort) || DERIVED_SORT_ALLOW.has(requestedSort))
+        ? requestedSort
+        : 'full_name',
+
+    hasBinder: isFlagOn(query.has_binder),
+    missingBinder: isFlagOn(query.missing_binder),
+    missingAuth0: isFlagOn(query.missing_auth0_sub),
+    hasOverdue: isFlagOn(query.has_overdue),
+    // invite_status: a delivery status from the Resend webhooks, or 'none' (never invited / no events)
+    inviteStatus: parseInviteStatus(isFlagOn(query.invite_bounced) ? 'bounced' : query.invite_status),
+    includeArchived: isFlagOn(query.include_archived),
+  };
+}
+
+function needsDerivedProcessing(params) {
+  return params.hasOverdue || DERIVED_SORT_ALLOW.has(params.requestedSort);
+}
+
+// Base diploma_students query with the DB-side filters applied (no order/range yet).
+function buildStudentListQuery(supabase, params, { columns = STUDENT_LIST_COLUMNS, count = true } = {}) {
+  let sb = supabase
+    .from('diploma_students')
+    .select(columns.join(','), count ? { count: 'exact' } : undefined);
+
+  // Explicit id list (bulk targeting); not exposed as a list query param
+  if (Array.isArray(params.ids)) sb = sb.in('id', params.ids);
+
+  if (params.q) {
+    const like = `%${params.q}%`;
+    sb = sb.or(`full_name.ilike.${like},email.ilike.${like}`);
+  }
+
+  if (params.cohort) sb = sb.eq('cohort', params.cohort);
+  if (params.tier) sb = sb.eq('diploma_tier', params.tier);
+
+  if (params.hasBinder) sb = sb.not('drive_binder_url', 'is', null).neq('drive_binder_url', '');
+  if (params.missingBinder) sb = sb.or('drive_binder_url.is.null,drive_binder_url.eq.');
+  if (params.missingAuth0) sb = sb.or('auth0_sub.is.null,auth0_sub.eq.');
+
+  if (params.inviteStatus === 'none') sb = sb.is('invite_delivery_status', null);
+  else if (params.inviteStatus) sb = sb.eq('invite_delivery_status', params.inviteStatus);
+
+  // Archived (left / graduated) students are hidden unless explicitly requested
+  if (!params.includeArchived) sb = sb.is('archived_at', null);
+
+  return sb;
+}
+
+async function fetchAllStudentRows(supabase, params, options) {
+  if (Array.isArray(params.ids) && params.ids.length > ID_CHUNK) {
+    const rows = [];
+    for (let i = 0; i < params.ids.length; i += ID_CHUNK) {
+      const ids = params.ids.slice(i, i + ID_CHUNK);
+      rows.push(...(await fetchAllStudentRows(supabase, { ...params, ids }, options)));
+    }
+    return sortStudentRows(rows, params.dbSort, params.dir);
+  }
+
+  const all = [];
+  for (let from = 0; ; from += FETCH_ALL_BATCH) {
+    const { data, error } = await buildStudentListQuery(supabase, params, { ...options, count: false })
+      .order(params.dbSort, { ascending: params.dir === 'asc' })
+      .order('id', { ascending: true })
+      .range(from, from + FETCH_ALL_BATCH - 1);
+
+    if (error) throw new Error(error.message);
+
+    const batch = Array.isArray(data) ? data : [];
+    all.push(...batch);
+    if (batch.length < FETCH_ALL_BATCH) return all;
+  }
+}
+
+// Merge admin_student_rollup (items_count / overdue_count / last_activity_at) into rows.
+// Rollup failures are logged and the rows come back un-merged, matching the list route.
+async function mergeStudentRollups(supabase, rows, { requestId, fillMissing = false } = {}) {
+  const safeRows = Array.isArray(rows) ? rows : [];
+  const ids = safeRows.map((r) => r.id).filter(Boolean);
+  const fallback = fillMissing ? safeRows.map((s) => ({ ...EMPTY_ROLLUP, ...s })) : safeRows;
+
+  if (ids.length === 0) return fallback;
+
+  try {
+    const { data: rollups, error: rollupError } = await supabase.rpc('admin_student_rollup', {
+      student_ids: ids,
+    });
+
+    if (rollupError) {
+      console.error('Rollup RPC error', { requestId, error: rollupError.message });
+      return fallback;
+    }
+
+    const map = new Map((rollups || []).map((r) => [r.student_id, r]));
+    return safeRows.map((s) => ({
+      ...s,
+      ...(map.get(s.id) || EMPTY_ROLLUP),
+    }));
+  } catch (e) {
+    console.error('Rollup merge exception', { requestId, message: e?.message });
+    return fallback;
+  }
+}
+
+function sortStudentRows(rows, sortKey, dir) {
+  const asc = dir === 'asc';
+
+  return rows.slice().sort((a, b) => {
+    const av = a?.[sortKey];
+    const bv = b?.[sortKey];
+
+    if (['created_at', 'updated_at', 'last_activity_at'].includes(sortKey)) {
+      const ad = av ? new Date(av).getTime() : 0;
+      const bd = bv ? new Date(bv).getTime() : 0;
+      return asc ? ad - bd : bd - ad;
+    }
+
+    if (['items_count', 'overdue_count'].includes(sortKey)) {
+      const an = Number(av || 0);
+      const bn = Number(bv || 0);
+      return asc ? an - bn : bn - an;
+    }
+
+    // Students whose tier has no milestones (null) sort below 0%
+    if (sortKey === 'completion_pct') {
+      const an = av === null || av === undefined ? -1 : Number(av);
+      const bn = bv === null || bv === undefined ? -1 : Number(bv);
+      return asc ? an - bn : bn - an;
+    }
+
+    const as = String(av || '').toLowerCase();
+    const bs = String(bv || '').toLowerCase();
+    if (as < bs) return asc ? -1 : 1;
+    if (as > bs) return asc ? 1 : -1;
+    return 0;
+  });
+}
+
+// Rollup + milestone progress merge, has_overdue filter and derived-aware sort, applied to an
+// already-fetched row set.
+async function applyDerivedProcessing(supabase, rows, params, { requestId, fillMissing } = {}) {
+  let merged = await mergeStudentRollups(supabase, rows, { requestId, fillMissing });
+  merged = await mergeMilestoneProgress(supabase, merged, { requestId });
+
+  if (params.hasOverdue) merged = merged.filter((s) => Number(s.overdue_count || 0) > 0);
+
+  return sortStudentRows(merged, params.sortKey, params.dir);
+}
+
+// ---- Bulk targeting ----
+// target: { student_ids?, cohort?, diploma_tier?, filters?: { <GET /students filter params> }, all? }
+// Criteria combine (AND). An empty target must say { all: true } so nobody bulk-edits everyone by accident.
+
+// GET /students params usable in target.filters (sort/paging params mean nothing for a bulk target)
+const TARGET_FILTER_KEYS = new Set([
+  'q',
+  'query',
+  'cohort',
+  'diploma_tier',
+  'has_binder',
+  'missing_binder',
+  'missing_auth0_sub',
+  'has_overdue',
+  'invite_status',
+  'invite_bounced',
+  'include_archived',
+]);
+
+// target -> query-string shaped object for parseStudentListParams (JSON filters may carry booleans/numbers)
+function targetToQuery(target) {
+  const query = {};
+  Object.entries(target.filters || {}).forEach(([k, v]) => {
+    if (v !== undefined && v !== null) query[k] = String(v);
+  });
+  if (target.cohort) query.cohort = String(target.cohort);
+  if (target.diploma_tier) query.diploma_tier = String(target.diploma_tier);
+  return query;
+}
+
+// Whether parsed params narrow the student set (include_archived widens it, so it doesn't count)
+function hasFilterCriteria(params) {
+  return !!(
+    params.q ||
+    params.cohort ||
+    params.tier ||
+    params.hasBinder ||
+    params.missingBinder ||
+    params.missingAuth0 ||
+    params.hasOverdue ||
+    params.inviteStatus
+  );
+}
+
+function validateStudentTarget(target) {
+  if (!target || typeof target !== 'object' || Array.isArray(target)) return 'target is required';
+
+  const { student_ids, cohort, diploma_tier, filters, all } = target;
+
+  if (student_ids !== undefined) {
+    if (!Array.isArray(student_ids) || student_ids.some((id) => typeof id !== 'string' || !id)) {
+      return 'target.student_ids must be an array of student ids';
+    }
+    if (student_ids.length === 0) return 'target.student_ids must not be empty';
+  }
+  if (filters !== undefined && (typeof filters !== 'object' || filters === null || Array.isArray(filters))) {
+    return 'target.filters must be an object';
+  }
+
+  const unknown = Object.keys(filters || {}).filter((k) => !TARGET_FILTER_KEYS.has(k));
+  if (unknown.length > 0) return `target.filters has unknown keys: ${unknown.join(', ')}`;
+
+  const hasCriteria =
+    student_ids !== undefined ||
+    !!cohort ||
+    !!diploma_tier ||
+    hasFilterCriteria(parseStudentListParams(targetToQuery(target)));
+  if (!hasCriteria && all !== true) return 'target must set student_ids, cohort, diploma_tier, filters or all: true';
+
+  return null;
+}
+
+async function resolveStudentTarget(supabase, target, { columns = ['id'], requestId } = {}) {
+  const params = parseStudentListParams(targetToQuery(target));
+  if (target.student_ids) params.ids = [...new Set(target.student_ids)];
+
+  const cols = [...new Set(['id', ...columns])];
+  const rows = await fetchAllStudentRows(supabase, params, { columns: cols });
+
+  if (!params.hasOverdue) return rows;
+  return applyDerivedProcessing(supabase, rows, params, { requestId });
+}
+
+module.exports = {
+  STUDENT_LIST_COLUMNS,
+  parseStudentListParams,
+  needsDerivedProcessing,
+  buildStudentListQuery,
+  ID_CHUNK,
+  fetchAllStudentRows,
+  mergeStudentRollups,
+  sortStudentRows,
+  applyDerivedProcessing,
+  validateStudentTarget,
+  resolveStudentTarget,
+};
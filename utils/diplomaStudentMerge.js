@@ -0,0 +1,287 @@
+// utils/diplomaStudentMerge.js
+// Merging a duplicate diploma student into the surviving record.
+//
+// - Per-student rows (MOVED_TABLES) are re-pointed at the survivor. Comments, status events and
+//   reminder log entries follow their items automatically (they hang off item_id).
+// - Tables unique per student (announcement reads, manual milestone completions) keep the survivor's
+//   row when both have one; a duplicate's acknowledgement is carried over first.
+// - Blank survivor profile fields are filled from the duplicate (MERGE_FILL_FIELDS); nothing is overwritten.
+// - auth0_sub: when only the duplicate is linked its login moves over; when both are linked to different
+//   logins the caller must choose keep_auth0_sub 'survivor' | 'duplicate'.
+// - The duplicate's open invite claim links are revoked, not moved. Audit rows (diploma_student_history,
+//   diploma_student_access_log) are never rewritten: they stay on the duplicate, linked by the merge row.
+// - The duplicate is archived with merged_into_id / merged_at (kept as a tombstone, never deleted) and a
+//   diploma_student_merges row records who merged what, what moved and a snapshot of the duplicate.
+//
+// There is no multi-table transaction: the merge row is written first ('in_progress'), every step is
+// safe to repeat, and re-running the same merge after a failure finishes it.
+
+const { diffStudentFields, recordStudentHistory } = require('./diplomaUtils');
+const { revokeOlderInviteClaims } = require('./diplomaInviteClaims');
+
+const MOVED_TABLES = [
+  'diploma_student_items',
+  'diploma_reminder_log',
+  'diploma_announcement_deliveries',
+  'diploma_invite_delivery_events',
+];
+
+const MERGE_FILL_FIELDS = [
+  'cohort',
+  'diploma_tier',
+  'parent_name',
+  'parent_email',
+  'parent_mobile',
+  'drive_binder_url',
+  'drive_folder_url',
+  'signed_agreement_url',
+  'running_notes_url',
+];
+
+function isBlank(v) {
+  return v === null || v === undefined || (typeof v === 'string' && v.trim() === '');
+}
+
+// Pure: survivor patch (filled blanks + auth0_sub) or { error } when the auth0 conflict is unresolved
+function planSurvivorUpdate(survivor, duplicate, keepAuth0Sub) {
+  const patch = {};
+
+  MERGE_FILL_FIELDS.forEach((field) => {
+    if (isBlank(survivor[field]) && !isBlank(duplicate[field])) patch[field] = duplicate[field];
+  });
+  if (duplicate.has_signed_agreement === true && survivor.has_signed_agreement !== true) {
+    patch.has_signed_agreement = true;
+  }
+
+  let auth0Resolution = 'none';
+  if (survivor.auth0_sub && duplicate.auth0_sub && survivor.auth0_sub !== duplicate.auth0_sub) {
+    if (!['survivor', 'duplicate'].includes(keepAuth0Sub)) {
+      return { error: 'AUTH0_CONFLICT' };
+    }
+    auth0Resolution = keepAuth0Sub === 'duplicate' ? 'took_duplicate' : 'kept_survivor';
+    if (keepAuth0Sub === 'duplicate') patch.auth0_sub = duplicate.auth0_sub;
+  } else if (!survivor.auth0_sub && duplicate.auth0_sub) {
+    auth0Resolution = 'took_duplicate';
+    patch.auth0_sub = duplicate.auth0_sub;
+  } else if (survivor.auth0_sub) {
+    auth0Resolution = 'kept_survivor';
+  }
+
+  return { patch, auth0Resolution, error: null };
+}
+
+async function countRows(supabase, table, column, studentId) {
+  const { count, error } = await supabase
+    .from(table)
+    .select(column, { count: 'exact', head: true })
+    .eq('student_id', studentId);
+  if (error) throw new Error(`${table}: ${error.message}`);
+  return count || 0;
+}
+
+// { table: rows the duplicate has } — what a merge would move
+async function countDuplicateRows(supabase, duplicateId) {
+  const counts = {};
+  for (const table of MOVED_TABLES) counts[table] = await countRows(supabase, table, 'id', duplicateId);
+  counts.diploma_announcement_reads = await countRows(supabase, 'diploma_announcement_reads', 'announcement_id', duplicateId);
+  counts.diploma_student_milestones = await countRows(supabase, 'diploma_student_milestones', 'id', duplicateId);
+  return counts;
+}
+
+async function moveAnnouncementReads(supabase, survivorId, duplicateId) {
+  const [{ data: dupReads, error: dErr }, { data: survReads, error: sErr }] = await Promise.all([
+    supabase.from('diploma_announcement_reads').select('announcement_id, read_at, acknowledged_at').eq('student_id', duplicateId),
+    supabase.from('diploma_announcement_reads').select('announcement_id, read_at, acknowledged_at').eq('student_id', survivorId),
+  ]);
+  if (dErr || sErr) throw new Error(`diploma_announcement_reads: ${(dErr || sErr).message}`);
+
+  const survivorByAnnouncement = new Map((survReads || []).map((r) => [r.announcement_id, r]));
+  let moved = 0;
+
+  for (const read of dupReads || []) {
+    const existing = survivorByAnnouncement.get(read.announcement_id);
+    const base = supabase.from('diploma_announcement_reads');
+
+    if (!existing) {
+      const { error } = await base
+        .update({ student_id: survivorId })
+        .eq('announcement_id', read.announcement_id)
+        .eq('student_id', duplicateId);
+      if (error) throw new Error(`diploma_announcement_reads: ${error.message}`);
+      moved++;
+      continue;
+    }
+
+    if (read.acknowledged_at && !existing.acknowledged_at) {
+      const { error } = await base
+        .update({ acknowledged_at: read.acknowledged_at })
+        .eq('announcement_id', read.announcement_id)
+        .eq('student_id', survivorId);
+      if (error) throw new Error(`diploma_announcement_reads: ${error.message}`);
+    }
+
+    const { error } = await supabase
+      .from('diploma_announcement_reads')
+      .delete()
+      .eq('announcement_id', read.announcement_id)
+      .eq('student_id', duplicateId);
+    if (error) throw new Error(`diploma_announcement_reads: ${error.message}`);
+  }
+
+  return moved;
+}
+
+async function moveMilestoneCompletions(supabase, survivorId, duplicateId) {
+  const [{ data: dupRows, error: dErr }, { data: survRows, error: sErr }] = await Promise.all([
+    supabase.from('diploma_student_milestones').select('id, milestone_id').eq('student_id', duplicateId),
+    supabase.from('diploma_student_milestones').select('milestone_id').eq('student_id', survivorId),
+  ]);
+  if (dErr || sErr) throw new Error(`diploma_student_milestones: ${(dErr || sErr).message}`);
+
+  const survivorHas = new Set((survRows || []).map((r) => r.milestone_id));
+  const toMove = (dupRows || []).filter((r) => !survivorHas.has(r.milestone_id)).map((r) => r.id);
+  const toDrop = (dupRows || []).filter((r) => survivorHas.has(r.milestone_id)).map((r) => r.id);
+
+  if (toMove.length) {
+    const { error } = await supabase.from('diploma_student_milestones').update({ student_id: survivorId }).in('id', toMove);
+    if (error) throw new Error(`diploma_student_milestones: ${error.message}`);
+  }
+  if (toDrop.length) {
+    const { error } = await supabase.from('diploma_student_milestones').delete().in('id', toDrop);
+    if (error) throw new Error(`diploma_student_milestones: ${error.message}`);
+  }
+
+  return toMove.length;
+}
+
+// Runs the merge. Returns { merge, survivor, moved }. Throws; err.code 'ALREADY_MERGED' / 'AUTH0_CONFLICT'
+// for caller mistakes, err.mergeId once the merge record exists.
+async function mergeStudents({ supabase, survivor, duplicate, keepAuth0Sub, actorId, requestId }) {
+  const nowIso = new Date().toISOString();
+
+  // Resume an interrupted merge of the same pair instead of recording a second one
+  const { data: existing, error: existingErr } = await supabase
+    .from('diploma_student_merges')
+    .select('*')
+    .eq('survivor_id', survivor.id)
+    .eq('merged_id', duplicate.id)
+    .eq('status', 'in_progress')
+    .maybeSingle();
+  if (existingErr) throw new Error(existingErr.message);
+
+  if (!existing && duplicate.merged_into_id) {
+    throw Object.assign(new Error('Student has already been merged'), { code: 'ALREADY_MERGED' });
+  }
+
+  // A resumed merge plans from the snapshot: the duplicate may already have given up its auth0_sub
+  const source = existing?.merged_snapshot || duplicate;
+  const keep = existing ? (existing.auth0_resolution === 'took_duplicate' ? 'duplicate' : 'survivor') : keepAuth0Sub;
+  const plan = planSurvivorUpdate(survivor, source, keep);
+  if (plan.error) throw Object.assign(new Error('Both students are linked to different Auth0 logins'), { code: plan.error });
+
+  let merge = existing;
+  if (!merge) {
+    const { data, error } = await supabase
+      .from('diploma_student_merges')
+      .insert({
+        survivor_id: survivor.id,
+        merged_id: duplicate.id,
+        status: 'in_progress',
+        auth0_resolution: plan.auth0Resolution,
+        field_changes: diffStudentFields(survivor, { ...survivor, ...plan.patch }, Object.keys(plan.patch)),
+        merged_snapshot: duplicate,
+        merged_by: actorId || null,
+        request_id: requestId || null,
+      })
+      .select('*')
+      .single();
+    if (error) throw new Error(error.message);
+    merge = data;
+  }
+
+  const fail = (e) => {
+    const err = new Error(e?.message || String(e));
+    err.mergeId = merge.id;
+    return err;
+  };
+
+  try {
+    const moved = {};
+
+    // Invite links sent to the duplicate must not attach a login to the tombstone
+    await revokeOlderInviteClaims({ supabase, studentId: duplicate.id });
+
+    for (const table of MOVED_TABLES) {
+      const { data, error } = await supabase
+        .from(table)
+        .update({ student_id: survivor.id })
+        .eq('student_id', duplicate.id)
+        .select('id');
+      if (error) throw new Error(`${table}: ${error.message}`);
+      moved[table] = (data || []).length;
+    }
+    moved.diploma_announcement_reads = await moveAnnouncementReads(supabase, survivor.id, duplicate.id);
+    moved.diploma_student_milestones = await moveMilestoneCompletions(supabase, survivor.id, duplicate.id);
+
+    // The duplicate gives up its login first (auth0_sub is unique) and is archived as a tombstone
+    const { error: dupErr } = await supabase
+      .from('diploma_students')
+      .update({
+        auth0_sub: null,
+        calendar_token: null,
+        archived_at: duplicate.archived_at || nowIso,
+        merged_into_id: survivor.id,
+        merged_at: nowIso,
+      })
+      .eq('id', duplicate.id);
+    if (dupErr) throw new Error(`diploma_students (duplicate): ${dupErr.message}`);
+
+    let updatedSurvivor = survivor;
+    if (Object.keys(plan.patch).length > 0) {
+      const { data, error } = await supabase
+        .from('diploma_students')
+        .update(plan.patch)
+        .eq('id', survivor.id)
+        .select('*')
+        .single();
+      if (error) throw new Error(`diploma_students (survivor): ${error.message}`);
+      updatedSurvivor = data;
+    }
+
+    const { data: done, error: doneErr } = await supabase
+      .from('diploma_student_merges')
+      .update({ status: 'completed', moved, completed_at: new Date().toISOString() })
+      .eq('id', merge.id)
+      .select('*')
+      .single();
+    if (doneErr) throw new Error(doneErr.message);
+
+    await recordStudentHistory({
+      supabase,
+      studentId: survivor.id,
+      action: 'merge',
+      changes: diffStudentFields(survivor, updatedSurvivor, Object.keys(plan.patch)),
+      actorId,
+      requestId,
+      note: `Merged ${duplicate.full_name || ''} <${duplicate.email || ''}> (${duplicate.id})`,
+    });
+    await recordStudentHistory({
+      supabase,
+      studentId: duplicate.id,
+      action: 'merged_into',
+      actorId,
+      requestId,
+      note: `Merged into ${survivor.id}`,
+    });
+
+    return { merge: done, survivor: updatedSurvivor, moved };
+  } catch (e) {
+    throw fail(e);
+  }
+}
+
+module.exports = {
+  planSurvivorUpdate,
+  countDuplicateRows,
+  mergeStudents,
+};
@@ -0,0 +1,129 @@
+// utils/diplomaStudentView.js
+// What a student sees in the portal, shared by the student routes (/me, /me/items, /announcements, /me/summary)
+// and the staff "view as student" preview so both always apply the same rules.
+
+const { ITEM_WITH_EVENTS_SELECT, sortStatusEvents } = require('./diplomaItems');
+const { applyLiveAnnouncementFilters, isVisibleToStudent, publicAnnouncement } = require('./diplomaAnnouncements');
+const { fetchStudentMilestoneProgress, studentMilestoneProgress } = require('./diplomaMilestones');
+
+// Archived students keep their row (and Auth0 link) but get 403 STUDENT_ARCHIVED from the /me routes
+const STUDENT_ARCHIVED_MESSAGE = 'This diploma account has been archived. Contact support if you think this is a mistake.';
+
+// GET /me payload: the student row plus milestone_progress (null if it can't be computed; non-fatal)
+async function buildStudentMe(supabase, student, { requestId } = {}) {
+  let progress = null;
+  try {
+    progress = studentMilestoneProgress(await fetchStudentMilestoneProgress(supabase, student));
+  } catch (e) {
+    console.error('Error computing milestone progress', { requestId, studentId: student.id, message: e?.message });
+  }
+  return { ...student, milestone_progress: progress };
+}
+
+// Items the student can see (visible_to_student), newest first, each with its status timeline. Throws.
+async function fetchVisibleStudentItems(supabase, studentId) {
+  const { data, error } = await supabase
+    .from('diploma_student_items')
+    .select(ITEM_WITH_EVENTS_SELECT)
+    .eq('student_id', studentId)
+    .eq('visible_to_student', true)
+    .order('created_at', { ascending: false });
+
+  if (error) throw new Error(error.message);
+  return (data || []).map(sortStatusEvents);
+}
+
+// Live announcements in the student's audience with their read state. Throws on the announcement
+// query; read receipts are non-fatal (announcements still render, just without read state).
+// student may be null (no student row): only all_diploma announcements apply then.
+async function fetchStudentAnnouncements(supabase, student, { requestId } = {}) {
+  const { data, error } = await applyLiveAnnouncementFilters(
+    supabase.from('diploma_announcements').select('*')
+  ).order('created_at', { ascending: false });
+
+  if (error) throw new Error(error.message);
+
+  const viewer = student || { id: null, cohort: null, diploma_tier: null };
+  const visible = (data || []).filter((a) => isVisibleToStudent(a, viewer));
+
+  let reads = new Map();
+  if (student && visible.length > 0) {
+    const { data: readRows, error: readsErr } = await supabase
+      .from('diploma_announcement_reads')
+      .select('announcement_id, read_at, acknowledged_at')
+      .eq('student_id', student.id)
+      .in('announcement_id', visible.map((a) => a.id));
+
+    if (readsErr) {
+      console.error('Error fetching announcement reads', { requestId, error: readsErr.message });
+    } else {
+      reads = new Map((readRows || []).map((r) => [r.announcement_id, r]));
+    }
+  }
+
+  return visible.map((a) => {
+    const read = reads.get(a.id);
+    return {
+      ...publicAnnouncement(a),
+      is_read: !!read,
+      read_at: read?.read_at || null,
+      is_acknowledged: !!read?.acknowledged_at,
+      acknowledged_at: read?.acknowledged_at || null,
+    };
+  });
+}
+
+const SUMMARY_NEXT_DUE = 3;
+
+// Dashboard numbers for GET /me/summary, computed from the same lists the portal renders.
+// Task counts and next_due cover item_type 'task' only (notes and resources can carry dates too).
+// open = anything not done (open / submitted / needs_revision); overdue = not done and due before today (UTC).
+// unacknowledged counts only announcements with requires_ack.
+function buildStudentSummary(student, items, announcements, todayIso = new Date().toISOString().slice(0, 10)) {
+  const tasks = items.filter((i) => i.item_type === 'task');
+  const notDone = tasks.filter((i) => i.status !== 'done');
+
+  const nextDue = notDone
+    .filter((i) => i.due_date && i.due_date >= todayIso)
+    .sort((a, b) => (a.due_date < b.due_date ? -1 : a.due_date > b.due_date ? 1 : 0))
+    .slice(0, SUMMARY_NEXT_DUE)
+    .map((i) => ({
+      id: i.id,
+      title: i.title,
+      item_type: i.item_type || null,
+      status: i.status,
+      due_date: i.due_date,
+      drive_link_url: i.drive_link_url || null,
+    }));
+
+  return {
+    tasks: {
+      total: tasks.length,
+      open: notDone.length,
+      done: tasks.length - notDone.length,
+      overdue: notDone.filter((i) => i.due_date && i.due_date < todayIso).length,
+    },
+    next_due: nextDue,
+    announcements: {
+      total: announcements.length,
+      unread: announcements.filter((a) => !a.is_read).length,
+      unacknowledged: announcements.filter((a) => a.requires_ack && !a.is_acknowledged).length,
+    },
+    links: {
+      drive_binder_url: student.drive_binder_url || null,
+      drive_folder_url: student.drive_folder_url || null,
+    },
+    agreement: {
+      has_signed_agreement: !!student.has_signed_agreement,
+      signed_agreement_url: student.signed_agreement_url || null,
+    },
+  };
+}
+
+module.exports = {
+  STUDENT_ARCHIVED_MESSAGE,
+  buildStudentMe,
+  fetchVisibleStudentItems,
+  fetchStudentAnnouncements,
+  buildStudentSummary,
+};
@@ -0,0 +1,124 @@
+// utils/diplomaTemplates.js
+// Tier task templates (diploma_item_templates) -> diploma_student_items.
+//
+// A template row: { id, name, diploma_tier, auto_apply, active, items: [...] } where each item is
+//   { item_type, title, body?, drive_link_url?, visible_to_student?, due_offset_days?, milestone_id? }
+// due_offset_days is relative to enrollment (diploma_students.created_at), e.g. 30 = "+30 days".
+
+const { z } = require('zod');
+const { ALLOWED_DIPLOMA_TIERS } = require('./diplomaUtils');
+const { ITEM_TYPES } = require('./diplomaItems');
+
+const templateItemSchema = z.object({
+  item_type: z.enum(ITEM_TYPES),
+  title: z.string().trim().min(1),
+  body: z.string().trim().nullable().optional(),
+  drive_link_url: z.string().trim().nullable().optional(),
+  visible_to_student: z.boolean().default(true),
+  due_offset_days: z.number().int().min(0).max(3650).nullable().optional(),
+  milestone_id: z.string().trim().min(1).nullable().optional(),
+});
+
+const templateFields = z.object({
+  name: z.string().trim().min(1),
+  diploma_tier: z
+    .string()
+    .refine((t) => ALLOWED_DIPLOMA_TIERS.has(t), 'Diploma Tier must be one of: Targeted | Platinum | Diamond | Ivy'),
+  auto_apply: z.boolean(),
+  active: z.boolean(),
+  items: z.array(templateItemSchema).min(1).max(200),
+});
+
+// Defaults only on create; a PATCH must not reset fields it didn't send
+const templateSchema = templateFields.extend({
+  auto_apply: z.boolean().default(false),
+  active: z.boolean().default(true),
+});
+
+const templatePatchSchema = templateFields.partial();
+
+function addDaysIsoDate(baseIso, days) {
+  const base = baseIso ? new Date(baseIso) : new Date();
+  const d = Number.isNaN(base.getTime()) ? new Date() : base;
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function buildItemsFromTemplate(template, student) {
+  return (template.items || []).map((t) => ({
+    student_id: student.id,
+    item_type: t.item_type,
+    title: t.title,
+    body: t.body || null,
+    drive_link_url: t.drive_link_url || null,
+    due_date:
+      t.due_offset_days === null || t.due_offset_days === undefined
+        ? null
+        : addDaysIsoDate(student.created_at, t.due_offset_days),
+    visible_to_student: t.visible_to_student !== false,
+    milestone_id: t.milestone_id || null,
+    created_by_admin: true,
+    template_id: template.id,
+  }));
+}
+
+// Inserts the template's items for one student. Skips (unless force) when the student already
+// has items from this template, so re-applying / auto-apply on create is idempotent.
+async function applyTemplateToStudent({ supabase, template, student, force = false }) {
+  if (!force) {
+    const { count, error: countErr } = await supabase
+      .from('diploma_student_items')
+      .select('id', { count: 'exact', head: true })
+      .eq('student_id', student.id)
+      .eq('template_id', template.id);
+
+    if (countErr) throw new Error(countErr.message);
+    if ((count || 0) > 0) return { template_id: template.id, skipped: true, reason: 'Already applied', created: 0 };
+  }
+
+  const rows = buildItemsFromTemplate(template, student);
+  if (rows.length === 0) return { template_id: template.id, skipped: true, reason: 'Template has no items', created: 0 };
+
+  const { data, error } = await supabase.from('diploma_student_items').insert(rows).select('id');
+  if (error) throw new Error(error.message);
+
+  return { template_id: template.id, skipped: false, created: (data || []).length };
+}
+
+// Applies every active auto_apply template for the student's tier. Non-fatal: returns per-template results.
+async function autoApplyTierTemplates({ supabase, student, requestId }) {
+  if (!student?.diploma_tier) return [];
+
+  try {
+    const { data: templates, error } = await supabase
+      .from('diploma_item_templates')
+      .select('*')
+      .eq('diploma_tier', student.diploma_tier)
+      .eq('auto_apply', true)
+      .eq('active', true);
+
+    if (error) throw new Error(error.message);
+
+    const results = [];
+    for (const template of templates || []) {
+      try {
+        results.push(await applyTemplateToStudent({ supabase, template, student }));
+      } catch (e) {
+        console.error('Auto-apply template failed', { requestId, studentId: student.id, templateId: template.id, message: e?.message });
+        results.push({ template_id: template.id, skipped: false, created: 0, error: e?.message });
+      }
+    }
+    return results;
+  } catch (e) {
+    console.error('Auto-apply templates lookup failed', { requestId, studentId: student.id, message: e?.message });
+    return [{ error: e?.message }];
+  }
+}
+
+module.exports = {
+  templateSchema,
+  templatePatchSchema,
+  buildItemsFromTemplate,
+  applyTemplateToStudent,
+  autoApplyTierTemplates,
+};
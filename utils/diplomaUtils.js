@@ -0,0 +1,263 @@
+// utils/diplomaUtils.js
+// Shared helpers for the diploma student routes (index.js + routes/diploma*.js)
+const { sendWelcomeToDiplomaPortal } = require('../email/sendWelcomeEmail');
+const { issueInviteClaim, revokeOlderInviteClaims } = require('./diplomaInviteClaims');
+const { applyEarlyDeliveryEvents } = require('./resendWebhook');
+
+const ALLOWED_DIPLOMA_TIERS = new Set(['Targeted', 'Platinum', 'Diamond', 'Ivy']);
+
+function cleanStringOrNull(v) {
+  if (typeof v !== 'string') return null;
+  const s = v.trim();
+  return s ? s : null;
+}
+
+function cleanLowerEmailOrNull(v) {
+  const s = cleanStringOrNull(v);
+  return s ? s.toLowerCase() : null;
+}
+
+function cleanBoolNullable(v) {
+  // nullable boolean: undefined/null => null, otherwise coerce
+  if (v === undefined || v === null) return null;
+  return !!v;
+}
+
+// Auth0 access tokens carry the email under a namespaced custom claim
+function getTokenEmail(decoded) {
+  const v =
+    decoded?.email ||
+    decoded?.['https://ausa.io/email'] ||
+    decoded?.['https://ausa.io/claims/email'] ||
+    decoded?.['https://ausa.io/claims/email_address'] ||
+    null;
+  return cleanLowerEmailOrNull(v);
+}
+
+// Strict: only an explicit true (plain or namespaced claim) counts; a missing claim is unverified
+function isTokenEmailVerified(decoded) {
+  return (
+    decoded?.email_verified === true ||
+    decoded?.['https://ausa.io/email_verified'] === true ||
+    decoded?.['https://ausa.io/claims/email_verified'] === true
+  );
+}
+
+function firstNameOf(fullName) {
+  return (fullName || '').trim().split(/\s+/)[0] || '';
+}
+
+// Validate + normalize a "create student" body.
+// Used by POST /api/diploma/admin/students and the CSV import so both apply the same rules.
+// Returns { payload, errors } — payload is only usable when errors is empty.
+function buildStudentInsert(body = {}) {
+  const {
+    full_name,
+    email,
+    cohort,
+    drive_binder_url,
+    drive_folder_url,
+    auth0_sub,
+
+    diploma_tier,
+    parent_name,
+    parent_mobile,
+    parent_email,
+    has_signed_agreement,
+    signed_agreement_url,
+    running_notes_url,
+  } = body;
+
+  const errors = [];
+
+  if (!email || typeof email !== 'string' || !email.trim()) {
+    errors.push('Email is required');
+  }
+
+  const cleanEmail = typeof email === 'string' ? email.trim().toLowerCase() : null;
+  const cleanName = typeof full_name === 'string' ? full_name.trim() : '';
+  const cleanCohort = cleanStringOrNull(cohort);
+
+  if (cleanCohort && !/^\d{4}$/.test(cleanCohort)) {
+    errors.push('Cohort must be a 4-digit year (e.g., 2026)');
+  }
+
+  const cleanTier = cleanStringOrNull(diploma_tier);
+  if (cleanTier && !ALLOWED_DIPLOMA_TIERS.has(cleanTier)) {
+    errors.push('Diploma Tier must be one of: Targeted | Platinum | Diamond | Ivy');
+  }
+
+  const payload = {
+    email: cleanEmail,
+    full_name: cleanName || null,
+    cohort: cleanCohort,
+    drive_binder_url: cleanStringOrNull(drive_binder_url),
+    drive_folder_url: cleanStringOrNull(drive_folder_url),
+    auth0_sub: cleanStringOrNull(auth0_sub),
+
+    diploma_tier: cleanTier,
+    parent_name: cleanStringOrNull(parent_name),
+    parent_mobile: cleanStringOrNull(parent_mobile),
+    parent_email: cleanLowerEmailOrNull(parent_email),
+    has_signed_agreement: cleanBoolNullable(has_signed_agreement),
+    signed_agreement_url: cleanStringOrNull(signed_agreement_url),
+    running_notes_url: cleanStringOrNull(running_notes_url),
+  };
+
+  return { payload, errors };
+}
+
+async function recordInviteStatus({ supabase, studentId, sendResult }) {
+  const now = new Date().toISOString();
+  // Delivery status follows the latest invite; Resend webhooks move it on from 'sent'
+  const patch = {
+    invited_at: now,
+    last_invite_message_id: sendResult?.id ? String(sendResult.id) : null,
+    invite_delivery_status: 'sent',
+    invite_delivery_status_at: now,
+    invite_delivery_detail: null,
+  };
+
+  const { error } = await supabase
+    .from('diploma_students')
+    .update(patch)
+    .eq('id', studentId);
+
+  if (error) {
+    throw new Error(error.message || 'Failed to record invite status');
+  }
+
+  // Non-fatal: the invite went out; a missed early event only leaves the status at 'sent'
+  try {
+    await applyEarlyDeliveryEvents({ supabase, studentId, messageId: patch.last_invite_message_id });
+  } catch (e) {
+    console.error('Failed to apply early invite delivery events', { studentId, message: e?.message });
+  }
+}
+
+function isResendConfigured() {
+  return !!(process.env.RESEND_API_KEY && process.env.RESEND_FROM);
+}
+
+// Claim link for a welcome email. Non-fatal: on failure the email goes out without one
+// (the student can still link by matching email through /me/link-auth0).
+async function issueInviteClaimSafe({ supabase, studentId, requestId }) {
+  try {
+    return await issueInviteClaim({ supabase, studentId });
+  } catch (e) {
+    console.error('Failed to issue invite claim token', { requestId, studentId, message: e?.message });
+    return null;
+  }
+}
+
+// After a successful send: only the link in the email just sent keeps working. Non-fatal.
+async function revokeOlderInviteClaimsSafe({ supabase, studentId, claim, requestId }) {
+  if (!claim?.id) return;
+  try {
+    await revokeOlderInviteClaims({ supabase, studentId, keepClaimId: claim.id });
+  } catch (e) {
+    console.error('Failed to revoke older invite claims', { requestId, studentId, message: e?.message });
+  }
+}
+
+// Send the welcome email (with a claim link) + persist invited_at. Never throws: returns the same
+// invite object shape that POST /api/diploma/admin/students has always returned.
+async function sendStudentInvite({ supabase, student, requestId }) {
+  try {
+    if (!isResendConfigured()) {
+      return {
+        requested: true,
+        ok: false,
+        skipped: true,
+        reason: 'Resend not configured (missing RESEND_API_KEY or RESEND_FROM)',
+      };
+    }
+
+    const claim = await issueInviteClaimSafe({ supabase, studentId: student.id, requestId });
+    const sendResult = await sendWelcomeToDiplomaPortal({
+      toEmail: student.email,
+      firstName: firstNameOf(student.full_name),
+      claimUrl: claim?.claim_url,
+      claimExpiresAt: claim?.expires_at,
+    });
+
+    await revokeOlderInviteClaimsSafe({ supabase, studentId: student.id, claim, requestId });
+
+    try {
+      await recordInviteStatus({ supabase, studentId: student.id, sendResult });
+    } catch (persistErr) {
+      console.error('Failed to persist invite status', {
+        requestId,
+        studentId: student?.id,
+        message: persistErr?.message,
+      });
+    }
+
+    return { requested: true, ok: true, skipped: false, sendResult, claim_expires_at: claim?.expires_at || null };
+  } catch (e) {
+    console.error('Invite send failed (non-fatal)', {
+      requestId,
+      studentId: student?.id,
+      email: student?.email,
+      message: e?.message,
+    });
+    return { requested: true, ok: false, skipped: false, error: e?.message || 'Invite send failed' };
+  }
+}
+
+// ---- Student change history (diploma_student_history) ----
+// One row per mutation: { student_id, action, changes: { field: { old, new } }, changed_by, request_id }.
+
+const HISTORY_IGNORED_FIELDS = new Set(['id', 'created_at', 'updated_at']);
+
+function diffStudentFields(before = {}, after = {}, keys) {
+  const fields = keys || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  const changes = {};
+
+  fields.forEach((field) => {
+    if (HISTORY_IGNORED_FIELDS.has(field)) return;
+    const oldV = before?.[field] ?? null;
+    const newV = after?.[field] ?? null;
+    if (JSON.stringify(oldV) !== JSON.stringify(newV)) changes[field] = { old: oldV, new: newV };
+  });
+
+  return changes;
+}
+
+// Non-fatal: history failures are logged, never surfaced to the caller.
+async function recordStudentHistory({ supabase, studentId, action, changes = {}, actorId, requestId, note }) {
+  if (action === 'update' && Object.keys(changes).length === 0) return;
+
+  try {
+    const { error } = await supabase.from('diploma_student_history').insert({
+      student_id: studentId,
+      action,
+      changes,
+      note: note || null,
+      changed_by: actorId || null,
+      request_id: requestId || null,
+    });
+
+    if (error) throw new Error(error.message);
+  } catch (e) {
+    console.error('Failed to record student history', { requestId, studentId, action, message: e?.message });
+  }
+}
+
+module.exports = {
+  ALLOWED_DIPLOMA_TIERS,
+  cleanStringOrNull,
+  cleanLowerEmailOrNull,
+  cleanBoolNullable,
+  getTokenEmail,
+  isTokenEmailVerified,
+  firstNameOf,
+  buildStudentInsert,
+  recordInviteStatus,
+  isResendConfigured,
+  issueInviteClaimSafe,
+  revokeOlderInviteClaimsSafe,
+  sendStudentInvite,
+  diffStudentFields,
+  recordStudentHistory,
+};
@@ -0,0 +1,78 @@
+// utils/ics.js
+// Minimal RFC 5545 writer for the deadline calendar feeds: all-day VEVENTs only.
+
+function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded (CRLF + space), without splitting a UTF-8 sequence
+function foldLine(line) {
+  const out = [];
+  let current = '';
+  let bytes = 0;
+
+  for (const ch of line) {
+    const len = Buffer.byteLength(ch);
+    const limit = out.length === 0 ? 75 : 74;
+    if (bytes + len > limit) {
+      out.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += len;
+  }
+  out.push(current);
+
+  return out.join('\r\n ');
+}
+
+function icsDate(isoDate) {
+  return String(isoDate).slice(0, 10).replace(/-/g, '');
+}
+
+function nextIcsDate(isoDate) {
+  const d = new Date(`${String(isoDate).slice(0, 10)}T00:00:00.000Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return icsDate(d.toISOString());
+}
+
+function icsTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// events: [{ uid, date: 'YYYY-MM-DD', summary, description?, url? }]
+function buildIcsCalendar({ name, events = [] }) {
+  const stamp = icsTimestamp();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Access USA//Diploma Portal//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+  ];
+
+  events.forEach((e) => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${e.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(e.date)}`,
+      `DTEND;VALUE=DATE:${nextIcsDate(e.date)}`,
+      `SUMMARY:${escapeIcsText(e.summary)}`
+    );
+    if (e.description) lines.push(`DESCRIPTION:${escapeIcsText(e.description)}`);
+    if (e.url) lines.push(`URL:${e.url}`);
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { escapeIcsText, buildIcsCalendar };
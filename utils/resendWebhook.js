@@ -0,0 +1,193 @@
+// utils/resendWebhook.js
+// Resend delivery webhooks (signed with Svix) -> invite delivery status on diploma_students.
+//
+// Resend signs each request with three headers: svix-id, svix-timestamp and svix-signature
+// ("v1,<base64 HMAC-SHA256>" entries, space separated). The HMAC is over "<id>.<timestamp>.<raw body>"
+// keyed with the base64 part of RESEND_WEBHOOK_SECRET ("whsec_..."). The raw body must be used as
+// received; re-serialized JSON will not verify.
+
+const { createHmac, timingSafeEqual } = require('crypto');
+
+// Reject replays older (or newer) than this
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Resend event type -> stored invite_delivery_status
+const DELIVERY_EVENT_STATUS = {
+  'email.delivered': 'delivered',
+  'email.bounced': 'bounced',
+  'email.complained': 'complained',
+  'email.opened': 'opened',
+};
+
+const INVITE_DELIVERY_STATUSES = ['sent', ...Object.values(DELIVERY_EVENT_STATUS)];
+
+// Unmatched events (usually other diploma emails, sometimes an invite whose send hasn't been recorded yet)
+// are kept without their payload, and only this long
+const UNMATCHED_EVENT_TTL_MS = 15 * 60 * 1000;
+
+function headerValue(headers, name) {
+  const v = typeof headers?.get === 'function' ? headers.get(name) : headers?.[name];
+  return Array.isArray(v) ? v[0] : v;
+}
+
+function signResendPayload({ id, timestamp, payload, secret }) {
+  const key = Buffer.from(String(secret).replace(/^whsec_/, ''), 'base64');
+  return createHmac('sha256', key).update(`${id}.${timestamp}.${payload}`).digest('base64');
+}
+
+// Returns { ok: true, id } or { ok: false, error }
+function verifyResendSignature({ payload, headers, secret, now = Date.now() }) {
+  const id = headerValue(headers, 'svix-id');
+  const timestamp = headerValue(headers, 'svix-timestamp');
+  const signatures = headerValue(headers, 'svix-signature');
+
+  if (!id || !timestamp || !signatures) return { ok: false, error: 'Missing signature headers' };
+
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts) || Math.abs(now / 1000 - ts) > SIGNATURE_TOLERANCE_SECONDS) {
+    return { ok: false, error: 'Signature timestamp outside tolerance' };
+  }
+
+  const expected = Buffer.from(signResendPayload({ id, timestamp, payload: String(payload ?? ''), secret }));
+  const match = String(signatures)
+    .split(' ')
+    .map((entry) => entry.split(','))
+    .some(([version, sig]) => {
+      if (version !== 'v1' || !sig) return false;
+      const given = Buffer.from(sig);
+      return given.length === expected.length && timingSafeEqual(given, expected);
+    });
+
+  return match ? { ok: true, id } : { ok: false, error: 'Invalid signature' };
+}
+
+// Parsed webhook body -> { type, status, messageId, occurredAt, detail } (status null for untracked types)
+function parseResendEvent(event) {
+  const type = String(event?.type || '');
+  const data = event?.data || {};
+
+  let detail = null;
+  if (type === 'email.bounced') detail = data.bounce?.message || data.bounce?.subType || null;
+
+  return {
+    type,
+    status: DELIVERY_EVENT_STATUS[type] || null,
+    messageId: data.email_id ? String(data.email_id) : null,
+    occurredAt: event?.created_at || data.created_at || new Date().toISOString(),
+    detail,
+  };
+}
+
+// Non-fatal: a failed purge is retried by the next webhook
+async function purgeUnmatchedDeliveryEvents(supabase) {
+  const { error } = await supabase
+    .from('diploma_invite_delivery_events')
+    .delete()
+    .is('student_id', null)
+    .lt('created_at', new Date(Date.now() - UNMATCHED_EVENT_TTL_MS).toISOString());
+  if (error) console.error('Failed to purge unmatched delivery events', { error: error.message });
+}
+
+// Stores the event on the student whose last invite it belongs to. Events for older invites, or
+// arriving out of order (older than the stored status), are logged but don't change the status.
+// Events that beat recordInviteStatus (no student has the message id yet) are logged as unmatched, without
+// the payload, and picked up by applyEarlyDeliveryEvents if it runs within UNMATCHED_EVENT_TTL_MS.
+// Returns { outcome: 'updated' | 'duplicate' | 'stale' | 'unmatched' | 'ignored', student_id? }. Throws.
+async function applyInviteDeliveryEvent({ supabase, webhookId, event }) {
+  await purgeUnmatchedDeliveryEvents(supabase);
+
+  const parsed = parseResendEvent(event);
+  if (!parsed.status || !parsed.messageId) return { outcome: 'ignored' };
+
+  const { data: student, error } = await supabase
+    .from('diploma_students')
+    .select('id, invite_delivery_status_at')
+    .eq('last_invite_message_id', parsed.messageId)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+
+  // Svix retries deliveries; the unique webhook_id makes each event count once
+  const { error: logErr } = await supabase.from('diploma_invite_delivery_events').insert({
+    webhook_id: webhookId,
+    message_id: parsed.messageId,
+    student_id: student?.id || null,
+    event_type: parsed.type,
+    status: parsed.status,
+    detail: parsed.detail,
+    occurred_at: parsed.occurredAt,
+    payload: student ? event : null,
+  });
+
+  if (logErr) {
+    if (logErr.code === '23505') return { outcome: 'duplicate', student_id: student?.id || null };
+    throw new Error(logErr.message);
+  }
+
+  if (!student) return { outcome: 'unmatched' };
+
+  const storedAt = student.invite_delivery_status_at ? new Date(student.invite_delivery_status_at).getTime() : 0;
+  if (new Date(parsed.occurredAt).getTime() < storedAt) return { outcome: 'stale', student_id: student.id };
+
+  const { error: updErr } = await supabase
+    .from('diploma_students')
+    .update({
+      invite_delivery_status: parsed.status,
+      invite_delivery_status_at: parsed.occurredAt,
+      invite_delivery_detail: parsed.detail,
+    })
+    .eq('id', student.id)
+    .eq('last_invite_message_id', parsed.messageId);
+
+  if (updErr) {
+    // Drop the dedup row so Resend's retry applies the event instead of being counted as a duplicate
+    const { error: undoErr } = await supabase
+      .from('diploma_invite_delivery_events')
+      .delete()
+      .eq('webhook_id', webhookId);
+    if (undoErr) {
+      console.error('Failed to drop delivery event after update error', { webhookId, error: undoErr.message });
+    }
+    throw new Error(updErr.message);
+  }
+  return { outcome: 'updated', student_id: student.id };
+}
+
+// Called once an invite's message id is stored: attaches delivery events that arrived first and applies
+// the latest one (any event for this message is newer than the 'sent' just recorded). Throws.
+async function applyEarlyDeliveryEvents({ supabase, studentId, messageId }) {
+  if (!messageId) return;
+
+  const { data: events, error } = await supabase
+    .from('diploma_invite_delivery_events')
+    .update({ student_id: studentId })
+    .eq('message_id', messageId)
+    .is('student_id', null)
+    .select('status, detail, occurred_at');
+
+  if (error) throw new Error(error.message);
+  if (!events || events.length === 0) return;
+
+  const latest = events.reduce((a, b) => (new Date(b.occurred_at) > new Date(a.occurred_at) ? b : a));
+
+  const { error: updErr } = await supabase
+    .from('diploma_students')
+    .update({
+      invite_delivery_status: latest.status,
+      invite_delivery_status_at: latest.occurred_at,
+      invite_delivery_detail: latest.detail,
+    })
+    .eq('id', studentId)
+    .eq('last_invite_message_id', messageId);
+
+  if (updErr) throw new Error(updErr.message);
+}
+
+module.exports = {
+  INVITE_DELIVERY_STATUSES,
+  signResendPayload,
+  verifyResendSignature,
+  parseResendEvent,
+  applyInviteDeliveryEvent,
+  applyEarlyDeliveryEvents,
+};